@@ -82,24 +82,44 @@ class Img {
 }
 
 export const tileSetImg = new Img({
-  data: "QSRSRSRSRSRSRSRSRSRSRSRKQSRSRSRKQSRSRSRSRSRSRSRSRSRSRSRKQSRSRSRKRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRTRTRTRTRTRTRTRTRTRTRTRRRTRTRTRRRTRTRTRTRTRTRTRTRTRTRTRRRTRTRTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRbleleleleleleleleleleleTbleleleTbleleleleleleleleleleleTbleleleTRdmemememememememememeeRRdmemmeRRdmemememememememememmeRRdmemmeRRbememememememememememTRRbemelTRRbemememememememememelTRRbemelTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRblmk[k[k[k[k[k[k[k[k[eeTblm[]eeTblm[[][][][][][][][][eeTblm[[eeTRll[k[k[k[k[k[k[k[k[[meRRllk[meRRll[][][][][][][][][]meRRll[[meRRbm][s^s^s^s^s^s^s^sklTRRbm]klTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbe]]^v^v^v^v^v^v^v^kmTRRbe]kmTRRbmlmlmlmlmlmlmlmlmlmlTRRbmlmlTRblm[sv^v^v^v^v^v^v^^]eeTblm[]eeTbllmlmlmlmlmlmlmlmlmlmdTbllmlmdTRllkssvvvvvvvvvvvvv^[meRRllk[meRRleleleleleleleleleleleRRleleleRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRQRRRRRRRRRRRRRRRRRRRRRRJQRRRRRRJblm[svvvvvvvvvvvvv^^]eeTblm[]eeTQSRSRSRSRSRSRSRKRSRSRSRSblm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRRRRRRRRRRRRRRRRRRRRRRRRRllk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRRTRTRTRTRTRTRTRTRTRTRTRTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbTbTbTbTbTbTbTRTbTbTbTbTbe]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTbleleleleleleleTelelelelelm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRdmemememememmeRmemememememk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbemememememelTRemememememe]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbm]k]k]k]k]kmTRk]k]k]k]k]k]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[[][][][]]eeT[][][][][][]]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[[][][]k[meR][]k[[][][]k[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]k]k]k]k]klTRk]k]k]k]k]k]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmmlmle]kmTRmle]kmmlmle]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]elmlmm[]eeTlmm[]elmlmm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[melellk[meRellk[melellk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]klTbTbm]klTRTbm]klTbTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmTRRbe]kmTRRbe]kmTRRbe]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]eeTblm[]eeTblm[]eeTblm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[meRRllk[meRRllk[meRRllk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]klTRTbm]klTRRbm]klTRTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmTbTbe]kmTRRbe]kmTbTbe]kmTbblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]melelm[]eeTblm[]melelm[]melRllkssvsvsvsvsvsvsv^[meRRllk[meRRllkkemememk[meRRllkkemememkkemeRbm]svsvsvsvsvsvsvskklTRRbm]klTRRbm]emememe]klTRRbm]emememe]ememRbe]^s^s^s^s^s^s^s^[kmTRRbe]kmTRRbe]k]k]k]k]kmTRRbe]k]k]k]k]k]k]blm[[][][][][][][][][eeTblm[]eeTblm[[][][][][eeTblm[[][][][][][]Rll[][][][][][][][][]meRRllk[meRRll[][][][][[meRRllk[[][][][][][Rbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbm]k]k]k]k]kmTRRbm]k]k]k]k]k]k]RbmlmlmlmlmlmlmlmlmlmlTRRbmlmlTRRbmlmlmlmlmlmlTRRbe]kmmlmlmlmlmlbllmlmlmlmlmlmlmlmlmlmdTbllmlmdTbllmlmlmlmlmlmdTblm[]elmlmlmlmlmRleleleleleleleleleleleRRleleleRRleleleleleleleRRllk[melelelelelRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbTbTbTbTbTbTbTRRbm]klTbTbTbTbTbQRRRRRRRRRRRRRRRRRRRRRRJQRRRRRRJQRRRRRRRRRRRRRRJRbe]kmTRRRRRRRRRvvvvvvvvvvvvvvvvvvvvvvvvRSRSRSRSRSRSRSRSblm[svvvvv^^]eeTIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvRRRRRRRRRRRRRRRRRllkssvvvvv^[meRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTRTRTRTRTRTRTRTRRbm][vvvvvskklTRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTbTbTbTbTbTbTbTbRbe]]^vvvvv[kmTRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvelelelelelelelelblm[svvvvv^^]eeTIIIIIIIIvvvsvsvsvsvsvsvsvsvsvsvvmemememememememeRllkssvsvsv^[meRIIIIIIIIvvsvsvsvsvsvsvsvsvsv[vvvememememememememRbm][vsvsvskklTRIIIIIIIIvvvs^s^s^s^[^s^s^s^[]^vvk]k]k]k]k]k]k]k]Rbe]]^^s^sv[kmTRIIIIIIIIvv^^[][][][][][][][]svvv[k[k[][][][][k[kblm[[][][][]]eeTIIIIIIIIvvv^[[][][]k[[][][]kssvvk[k[[[][][]kk[k[Rllk[[][][]k[meRIIIIIIIIvvskk]k]k]k]k]k]k]k][vvv^s^sk]k]k]k]^s^sRbm]k]k]k]k]klTRIIIIIIIIvvv[kmmlmle]kmmlmle]]^vvv^v^kmmlmle]v^v^Rbe]kmmlmle]kmTRIIIIIIIIvv^^]elmlmm[]elmlmm[svvvvv^^]elmlmm[^v^vblm[]elmlmm[]eeTIIIIIIIIvvv^[melellk[melellkssvvvvv^[melellkssvvRllk[melellk[meRIIIIIIIIvvskklTbTbm]klTbTbm][vvvvvskklTbTbm][vvvRbm]klTbTbm]klTRIIIIIIIIvvv[kmTRRbe]kmTRRbe]]^vvvvv[kmTRRbe]]^vvRbe]kmTRRbe]kmTRIIIIIIIIvv^^]eeTblm[]eeTblm[svvvvv^^]eeTblm[svvvblm[]eeTblm[]eeTIIIIIIIIvvv^[meRRllk[meRRllkssvvvvv^[meRRllkssvvRllk[meRRllk[meRIIIIIIIIvvskklTRTbm]klTRTbm][vvvvvskklTRTbm][vvvRbm]klTRTbm]klTRIIIIIIIIvvv[kmTbTbe]kmTbTbe]]^vvvvv[kmTbTbe]]^vvRbe]kmTbTbe]kmTRIIIIIIIIvv^^]melelm[]melelm[svvvvv^^]melelm[svvvblm[]melelm[]eeTIIIIIIIIvvv^kemememkkemememkssvvvsv^kemememkssvsRllkkemememk[meRIIIIIIIIvvskemememe]emememe][vvvsvskemememe][vsvRbm]emememe]klTRIIIIIIIIvvv[k]k]k]k]k]k]k]k]]^vv^sv[k]k]k]k]]^^sRbe]k]k]k]k]kmTRIIIIIIIIvv^^[][][][][][][][]svvv[][][][][][][][]blm[sv[k[k^^]eeTIIIIIIIIvvv^[[][][]k[[][][]kssvv][][][][][][][][Rllkssk[k[v^[meRIIIIIIIIvvskk]k]k]k]k]k]k]k][vvvk]k]k]k]k]k]k]k]Rbm][v^s^sskklTRIIIIIIIIvvv[kmmlmle]kmmlmle]]^vvmlmlmlmlmlmlmlmlRbe]]^v^v^v[kmTRIIIIIIIIvv^^]elmlmm[]elmlmm[svvvlmlmlmlmlmlmlmlmblm[sv^v^v^^]eeTIIIIIIIIvvv^[melellk[melellkssvvelelelelelelelelRllkssvvvvv^[meRIIIIIIIIvvskklTbTbm]klTbTbm][vvvTbTbTbTbTbTbTbTbRbm][vvvvvskklTRIIIIIIIIvvv[kmTRRbe]kmTRRbe]]^vvRRRRRRRRRRRRRRRRRbe]]^vvvvv[kmTRIIIIIIIIvv^^]eeTblm[]eeTblm[svvvvv^^]eeTblm[svvvblm[]eeTblm[]eeTQSRSRSRKvvv^[meRRllk[meRRllkssvvvvv^[meRRllkssvvRllk[meRRllk[meRRRRRRRRRvvskklTRTbm]klTRTbm][vvvvvskklTRTbm][vvvTbm]klTRTbm]klTRRRTRTRTRvvv[kmTbTbe]kmTbTbe]]^vvvvv[kmTbTbe]]^vvTbe]kmTbTbe]kmTbRbTbTbTRvv^^]melelm[]melelm[svvvvv^^]melelm[svvvelm[]melelm[]melaleleleLvvv^kemememkkemememkssvvvsv^kemememkssvsmemkkemememkkemeIdmemmeIvvskemememe]emememe][vvvsvskemememe][vsveme]emememe]ememIIemelIIvvv[k]k]k]k]k]k]k]k]]^vv^sv[k]k]k]k]]^^sk]k]k]k]k]k]k]k]IIIYKIIIvv^n[k[k[k[k[k[k[k[ksvvv[][][][][][][][][k^n[][][][][s[kIIIIIIIIvvv[k[k[k[k[k[k[k[k[ssvv][]k[[][][]k[[][k[v[[[][][]kssk[IIIIIIIIvv[s^s^s^s^s^s^s^s^s^vvvk]k]k]k]k]k]k]k]^s[sk]k]k]k]^v^sIIIIIIIIvvv^v^v^v^v^v^v^v^v^v^vvmle]kmmlmle]kmmlv^v^kmmlmle]v^v^IIIIIIIIvv^v^v^v^v^v^v^v^v^v^vvvlmm[]elmlmm[]elm^v^v]elmlmm[^v^vIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvellk[melellk[melvvv^[melellkssvvIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTbm]klTbTbm]klTbvvskklTbTbm][vvvIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvRbe]kmTRRbe]kmTRvvv[kmTRRbe]]^vvIIIIIIIIblm[svvvvv^^]eeT@@@@@@@@@@@[[[@@@@X[X[@@[[[C@@@X[X[@@[[[C@@@X[X[Rllkssvvvvv^[meR@@@@@@@@@@[I[IC@@XKYKY@[I[IYC@XKYKY@[I[IYC@XKYKYTbm][vvvvvskklTR@@@@@@@@@XIIIIY@XKYKI[XIIIIICXKYKI[XIIIIICXKYKI[Tbe]]^vvvvv[kmTb@@@@@@@@@KIIIIICKIIIICKIIII[CKIIIICKIIII[CKIIIICelm[svvvvv^^]mel@@@@@@@@@III[[IIIIY@KIIIICXIIIIY@KIIIICXIIIIY@memkssvsvsv[keme@@@@@@@@@IIICXIIIIY@IIICXIIIIY@IIICXIIIIY@eme][vsvsvsk[mem@@@@@@@@@KIIIYCxOIyOY@IIYCxOIyOY@IIYCxOIyOY@k]k]][^s^s^[]]k]@@@@@@@@@KIIIY@xOIyO[@KIIIY@xOIyO[@KIIIY@xOIyO[@[k[k[][][][][k[k@@@@@@@@@KIyIY@XIIIIC@KIIIY@XIIIIC@KIIIY@XIIIIC@k[k[[[][][]kk[k[@@@@@@@@@XKIIC@XIIIIC@XKyOC@XIIIIC@XKyOC@XIIIIC@^s[k[]k]k]k][s^s@@@@@@@@@@XIIC@@[IY@@@XII[@@[IY@@@XII[@@[IY@@v^v[kmmlmle]]^v^@@@@@@@@@@XIIC@@@KIYC@@XIIKC@@KIYC@@XIIKC@@KIYC@^v^^]elmlmm[[v^v@@@@@@@@@@XII[@@XIIYY@@KIIKC@XIIYY@@KIIKC@XIIYY@vvv^[melellkssvv@@@@@@@@@@XIIKC@XyYY@@KII[@@XIIYY@@OI[@@XIIYY@vvskklTbTbm][vvv@@@@@@@@@@@[OC@X{_C@@_{G@@x_[C@@[C@xIyG@vvv[kmTRRbe]]^vv@@@@@@@@@@@_@@x@@@@@@xG@@xG@@@@@@G@x[{G@[C[C@@@X[[[@@[C[C@@@X[[[@@[C[C@@@@[[[@@@@@PBPB@@@PRPBRB@[[C@@@@@KYKYC@XKI[I[@KYKYC@XKI[I[@KYKYC@@XI[I[@@@PRRRRB@@RRRRRR@@C@@@@@@[IYKYCXIIIIIC[IYKYCXIIIIIC[IYKYC@KIIIIC@@RRRRRR@PRRRRRRB@@@@@@@@XIIIIYX[IIIIYXIIIIYX[IIIIYXIIIIYXIIIIIY@PRRRRRRBRRRRRRRR@B@B@B@B@KIIIICXIIIIY@KIIIICXIIIIY@KIIII[[III@PRRVrRRBR@vRRv@RP@P@P@P@@KIIIICXIII@KIIIICXIII@KIIIICXIII@@pvvvvF@@pvvvvF@R@R@R@R@@KyOIyGXKII@KyOIyGXKII@KyOIyGXKIIIY@@pvvvvF@@pvvvvF@RSRSRSRS@[yOIyG@KIIIY@[yOIyG@KIIIY@[yOIyG@KIIIY@@pvvvvF@@pvvvvF@@B@B@B@B@XIIIIC@KIIIY@XIIIIC@KIIIY@XIIIIC@KIOIY@@pvvvvF@@pvvvvF@@P@P@P@P@XIIIIC@XyOYC@XIIIIC@XyOYC@XIIIIC@XIIYC@@@vvvv@@@@vvvv@@BPBPBPBP@@KI[@@[IIC@@@KI[@@[IIC@@@KI[@@XIIC@@@@vvvv@@@@vvvv@@RSRSRSRS@XKIY@@XYIIC@@XKIY@@XYIIC@@XKIY@@@XIIC@@@@vvvv@@@@vvvv@@@@@@@@@@@KKIIC@XYIIY@@KKIIC@XYIIY@@KKIIC@@[IIC@@@@pvvF@@@@pvvF@@B@B@B@B@@KKIIC@@[Iy@@KKIIC@@[IIY@@KKOC@XYIIC@@@@pvvF@@@@pvvF@@B@B@B@B@@xOIG@X[@@X[{G@@x_{@@X{_C@Xy[@@@@@@vv@@@@@@vv@@@RPRPRPRP@x_[G@x@@@@@@xG@@xG@@@@@@G@@{@@@@@@pF@@@@@@pF@@@RSRSRSRS",
+  data: "QSRSRSRSRSRSRSRSRSRSRSRKQSRSRSRKQSRSRSRSRSRSRSRSRSRSRSRKQSRSRSRKRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRTRTRTRTRTRTRTRTRTRTRTRRRTRTRTRRRTRTRTRTRTRTRTRTRTRTRTRRRTRTRTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRbleleleleleleleleleleleTbleleleTbleleleleleleleleleleleTbleleleTRdmemememememememememeeRRdmemmeRRdmemememememememememmeRRdmemmeRRbememememememememememTRRbemelTRRbemememememememememelTRRbemelTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRblmk[k[k[k[k[k[k[k[k[eeTblm[]eeTblm[[][][][][][][][][eeTblm[[eeTRll[k[k[k[k[k[k[k[k[[meRRllk[meRRll[][][][][][][][][]meRRll[[meRRbm][s^s^s^s^s^s^s^sklTRRbm]klTRRbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbe]]^v^v^v^v^v^v^v^kmTRRbe]kmTRRbmlmlmlmlmlmlmlmlmlmlTRRbmlmlTRblm[sv^v^v^v^v^v^v^^]eeTblm[]eeTbllmlmlmlmlmlmlmlmlmlmdTbllmlmdTRllkssvvvvvvvvvvvvv^[meRRllk[meRRleleleleleleleleleleleRRleleleRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRQRRRRRRRRRRRRRRRRRRRRRRJQRRRRRRJblm[svvvvvvvvvvvvv^^]eeTblm[]eeTQSRSRSRSRSRSRSRKRSRSRSRSblm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRRRRRRRRRRRRRRRRRRRRRRRRRllk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRRTRTRTRTRTRTRTRTRTRTRTRTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbTbTbTbTbTbTbTRTbTbTbTbTbe]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTbleleleleleleleTelelelelelm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRdmemememememmeRmemememememk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbemememememelTRemememememe]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbm]k]k]k]k]kmTRk]k]k]k]k]k]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[[][][][]]eeT[][][][][][]]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[[][][]k[meR][]k[[][][]k[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]k]k]k]k]klTRk]k]k]k]k]k]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmmlmle]kmTRmle]kmmlmle]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]elmlmm[]eeTlmm[]elmlmm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[melellk[meRellk[melellk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]klTbTbm]klTRTbm]klTbTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmTRRbe]kmTRRbe]kmTRRbe]kmTRblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]eeTblm[]eeTblm[]eeTblm[]eeTRllkssvvvvvvvvvvvvv^[meRRllk[meRRllk[meRRllk[meRRllk[meRRllk[meRRbm][vvvvvvvvvvvvvskklTRRbm]klTRRbm]klTRTbm]klTRRbm]klTRTbm]klTRRbe]]^vvvvvvvvvvvvv[kmTRRbe]kmTRRbe]kmTbTbe]kmTRRbe]kmTbTbe]kmTbblm[svvvvvvvvvvvvv^^]eeTblm[]eeTblm[]melelm[]eeTblm[]melelm[]melRllkssvsvsvsvsvsvsv^[meRRllk[meRRllkkemememk[meRRllkkemememkkemeRbm]svsvsvsvsvsvsvskklTRRbm]klTRRbm]emememe]klTRRbm]emememe]ememRbe]^s^s^s^s^s^s^s^[kmTRRbe]kmTRRbe]k]k]k]k]kmTRRbe]k]k]k]k]k]k]blm[[][][][][][][][][eeTblm[]eeTblm[[][][][][eeTblm[[][][][][][]Rll[][][][][][][][][]meRRllk[meRRll[][][][][[meRRllk[[][][][][][Rbm]k]k]k]k]k]k]k]k]kmTRRbm]kmTRRbm]k]k]k]k]kmTRRbm]k]k]k]k]k]k]RbmlmlmlmlmlmlmlmlmlmlTRRbmlmlTRRbmlmlmlmlmlmlTRRbe]kmmlmlmlmlmlbllmlmlmlmlmlmlmlmlmlmdTbllmlmdTbllmlmlmlmlmlmdTblm[]elmlmlmlmlmRleleleleleleleleleleleRRleleleRRleleleleleleleRRllk[melelelelelRbTbTbTbTbTbTbTbTbTbTbTRRbTbTbTRRbTbTbTbTbTbTbTRRbm]klTbTbTbTbTbQRRRRRRRRRRRRRRRRRRRRRRJQRRRRRRJQRRRRRRRRRRRRRRJRbe]kmTRRRRRRRRRvvvvvvvvvvvvvvvvvvvvvvvvRSRSRSRSRSRSRSRSblm[svvvvv^^]eeTIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvRRRRRRRRRRRRRRRRRllkssvvvvv^[meRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTRTRTRTRTRTRTRTRRbm][vvvvvskklTRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTbTbTbTbTbTbTbTbRbe]]^vvvvv[kmTRIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvelelelelelelelelblm[svvvvv^^]eeTIIIIIIIIvvvsvsvsvsvsvsvsvsvsvsvvmemememememememeRllkssvsvsv^[meRIIIIIIIIvvsvsvsvsvsvsvsvsvsv[vvvememememememememRbm][vsvsvskklTRIIIIIIIIvvvs^s^s^s^[^s^s^s^[]^vvk]k]k]k]k]k]k]k]Rbe]]^^s^sv[kmTRIIIIIIIIvv^^[][][][][][][][]svvv[k[k[][][][][k[kblm[[][][][]]eeTIIIIIIIIvvv^[[][][]k[[][][]kssvvk[k[[[][][]kk[k[Rllk[[][][]k[meRIIIIIIIIvvskk]k]k]k]k]k]k]k][vvv^s^sk]k]k]k]^s^sRbm]k]k]k]k]klTRIIIIIIIIvvv[kmmlmle]kmmlmle]]^vvv^v^kmmlmle]v^v^Rbe]kmmlmle]kmTRIIIIIIIIvv^^]elmlmm[]elmlmm[svvvvv^^]elmlmm[^v^vblm[]elmlmm[]eeTIIIIIIIIvvv^[melellk[melellkssvvvvv^[melellkssvvRllk[melellk[meRIIIIIIIIvvskklTbTbm]klTbTbm][vvvvvskklTbTbm][vvvRbm]klTbTbm]klTRIIIIIIIIvvv[kmTRRbe]kmTRRbe]]^vvvvv[kmTRRbe]]^vvRbe]kmTRRbe]kmTRIIIIIIIIvv^^]eeTblm[]eeTblm[svvvvv^^]eeTblm[svvvblm[]eeTblm[]eeTIIIIIIIIvvv^[meRRllk[meRRllkssvvvvv^[meRRllkssvvRllk[meRRllk[meRIIIIIIIIvvskklTRTbm]klTRTbm][vvvvvskklTRTbm][vvvRbm]klTRTbm]klTRIIIIIIIIvvv[kmTbTbe]kmTbTbe]]^vvvvv[kmTbTbe]]^vvRbe]kmTbTbe]kmTRIIIIIIIIvv^^]melelm[]melelm[svvvvv^^]melelm[svvvblm[]melelm[]eeTIIIIIIIIvvv^kemememkkemememkssvvvsv^kemememkssvsRllkkemememk[meRIIIIIIIIvvskemememe]emememe][vvvsvskemememe][vsvRbm]emememe]klTRIIIIIIIIvvv[k]k]k]k]k]k]k]k]]^vv^sv[k]k]k]k]]^^sRbe]k]k]k]k]kmTRIIIIIIIIvv^^[][][][][][][][]svvv[][][][][][][][]blm[sv[k[k^^]eeTIIIIIIIIvvv^[[][][]k[[][][]kssvv][][][][][][][][Rllkssk[k[v^[meRIIIIIIIIvvskk]k]k]k]k]k]k]k][vvvk]k]k]k]k]k]k]k]Rbm][v^s^sskklTRIIIIIIIIvvv[kmmlmle]kmmlmle]]^vvmlmlmlmlmlmlmlmlRbe]]^v^v^v[kmTRIIIIIIIIvv^^]elmlmm[]elmlmm[svvvlmlmlmlmlmlmlmlmblm[sv^v^v^^]eeTIIIIIIIIvvv^[melellk[melellkssvvelelelelelelelelRllkssvvvvv^[meRIIIIIIIIvvskklTbTbm]klTbTbm][vvvTbTbTbTbTbTbTbTbRbm][vvvvvskklTRIIIIIIIIvvv[kmTRRbe]kmTRRbe]]^vvRRRRRRRRRRRRRRRRRbe]]^vvvvv[kmTRIIIIIIIIvv^^]eeTblm[]eeTblm[svvvvv^^]eeTblm[svvvblm[]eeTblm[]eeTQSRSRSRKvvv^[meRRllk[meRRllkssvvvvv^[meRRllkssvvRllk[meRRllk[meRRRRRRRRRvvskklTRTbm]klTRTbm][vvvvvskklTRTbm][vvvTbm]klTRTbm]klTRRRTRTRTRvvv[kmTbTbe]kmTbTbe]]^vvvvv[kmTbTbe]]^vvTbe]kmTbTbe]kmTbRbTbTbTRvv^^]melelm[]melelm[svvvvv^^]melelm[svvvelm[]melelm[]melaleleleLvvv^kemememkkemememkssvvvsv^kemememkssvsmemkkemememkkemeIdmemmeIvvskemememe]emememe][vvvsvskemememe][vsveme]emememe]ememIIemelIIvvv[k]k]k]k]k]k]k]k]]^vv^sv[k]k]k]k]]^^sk]k]k]k]k]k]k]k]IIIYKIIIvv^n[k[k[k[k[k[k[k[ksvvv[][][][][][][][][k^n[][][][][s[kIIIIIIIIvvv[k[k[k[k[k[k[k[k[ssvv][]k[[][][]k[[][k[v[[[][][]kssk[IIIIIIIIvv[s^s^s^s^s^s^s^s^s^vvvk]k]k]k]k]k]k]k]^s[sk]k]k]k]^v^sIIIIIIIIvvv^v^v^v^v^v^v^v^v^v^vvmle]kmmlmle]kmmlv^v^kmmlmle]v^v^IIIIIIIIvv^v^v^v^v^v^v^v^v^v^vvvlmm[]elmlmm[]elm^v^v]elmlmm[^v^vIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvellk[melellk[melvvv^[melellkssvvIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvTbm]klTbTbm]klTbvvskklTbTbm][vvvIIIIIIIIvvvvvvvvvvvvvvvvvvvvvvvvRbe]kmTRRbe]kmTRvvv[kmTRRbe]]^vvIIIIIIIIblm[svvvvv^^]eeTIIIIIIII@@@[[[@@@@X[X[@@[[[C@@@X[X[@@[[[C@@@X[X[Rllkssvvvvv^[meRIIIIIIII@@[I[IC@@XKYKY@[I[IYC@XKYKY@[I[IYC@XKYKYTbm][vvvvvskklTRIIIIIIII@XIIIIY@XKYKI[XIIIIICXKYKI[XIIIIICXKYKI[Tbe]]^vvvvv[kmTbIIIIIIII@KIIIIICKIIIICKIIII[CKIIIICKIIII[CKIIIICelm[svvvvv^^]melIIIIIIII@III[[IIIIY@KIIIICXIIIIY@KIIIICXIIIIY@memkssvsvsv[kemeIIIIIIII@IIICXIIIIY@IIICXIIIIY@IIICXIIIIY@eme][vsvsvsk[memIIIIIIII@KIIIYCxOIyOY@IIYCxOIyOY@IIYCxOIyOY@k]k]][^s^s^[]]k]IIIIIIII@KIIIY@xOIyO[@KIIIY@xOIyO[@KIIIY@xOIyO[@[k[k[][][][][k[kIIIIIIII@KIyIY@XIIIIC@KIIIY@XIIIIC@KIIIY@XIIIIC@k[k[[[][][]kk[k[yIyIyIyI@XKIIC@XIIIIC@XKyOC@XIIIIC@XKyOC@XIIIIC@^s[k[]k]k]k][s^syIyIyIyI@@XIIC@@[IY@@@XII[@@[IY@@@XII[@@[IY@@v^v[kmmlmle]]^v^~O~O~O~O@@XIIC@@@KIYC@@XIIKC@@KIYC@@XIIKC@@KIYC@^v^^]elmlmm[[v^v~O~O~O~O@@XII[@@XIIYY@@KIIKC@XIIYY@@KIIKC@XIIYY@vvv^[melellkssvv~~~~@@XIIKC@XyYY@@KII[@@XIIYY@@OI[@@XIIYY@vvskklTbTbm][vvv~~~~@@@[OC@X{_C@@_{G@@x_[C@@[C@xIyG@vvv[kmTRRbe]]^vv@@@_@@x@@@@@@xG@@xG@@@@@@G@x[{G@[C[C@@@X[[[@@[C[C@@@X[[[@@[C[C@@@@[[[@@@@@PBPB@@@PRPBRB@[[C@@@@@KYKYC@XKI[I[@KYKYC@XKI[I[@KYKYC@@XI[I[@@@PRRRRB@@RRRRRR@@C@@@@@@[IYKYCXIIIIIC[IYKYCXIIIIIC[IYKYC@KIIIIC@@RRRRRR@PRRRRRRB@@@@@@@@XIIIIYX[IIIIYXIIIIYX[IIIIYXIIIIYXIIIIIY@PRRRRRRBRRRRRRRR@B@B@B@B@KIIIICXIIIIY@KIIIICXIIIIY@KIIII[[III@PRRVrRRBR@vRRv@RP@P@P@P@@KIIIICXIII@KIIIICXIII@KIIIICXIII@@pvvvvF@@pvvvvF@R@R@R@R@@KyOIyGXKII@KyOIyGXKII@KyOIyGXKIIIY@@pvvvvF@@pvvvvF@RSRSRSRS@[yOIyG@KIIIY@[yOIyG@KIIIY@[yOIyG@KIIIY@@pvvvvF@@pvvvvF@@B@B@B@B@XIIIIC@KIIIY@XIIIIC@KIIIY@XIIIIC@KIOIY@@pvvvvF@@pvvvvF@@P@P@P@P@XIIIIC@XyOYC@XIIIIC@XyOYC@XIIIIC@XIIYC@@@vvvv@@@@vvvv@@BPBPBPBP@@KI[@@[IIC@@@KI[@@[IIC@@@KI[@@XIIC@@@@vvvv@@@@vvvv@@RSRSRSRS@XKIY@@XYIIC@@XKIY@@XYIIC@@XKIY@@@XIIC@@@@vvvv@@@@vvvv@@@@@@@@@@@KKIIC@XYIIY@@KKIIC@XYIIY@@KKIIC@@[IIC@@@@pvvF@@@@pvvF@@B@B@B@B@@KKIIC@@[Iy@@KKIIC@@[IIY@@KKOC@XYIIC@@@@pvvF@@@@pvvF@@B@B@B@B@@xOIG@X[@@X[{G@@x_{@@X{_C@Xy[@@@@@@vv@@@@@@vv@@@RPRPRPRP@x_[G@x@@@@@@xG@@xG@@@@@@G@@{@@@@@@pF@@@@@@pF@@@RSRSRSRS@xG@@@@xG@@@@@@@@@@@@@@@G@@@@@x@@@@@@@@@@@@@@@@@@@@@@@@@@wvv~@@@@wvv~@@@xyGxOG@@xyGxOG@@@x@G@@@@x@G@@@@@@@@@@@@@@@@@@@xvvvvG@@xvvvvG@@xRzWRG@@xRzWRG@@Gx@@@@@@@@@@@@@@@@@@@@@@xNw~qG@@xNw~qG@@xRRRRG@@xRRRRG@@Oy@@Oy@@@@@@@@@@@@@@@@@@x~w~wG@@x~w~wG@@WRRRRz@@@WRRz@@@xG@xG@@@@@@@@@@@@@@@@@xvvvvG@@xvvvvG@@WRRz@@@WzWz@@@@@@@@GxGx@@@@@@@@@@@@@@@@@@wvv~@@@@wvv~@@@xRGxRG@@@WGxz@@@@@x@G@@@@@@@@@@@@@@@@@@@@@@@@@@xG@@@@xG@@@Gx@@xz@@WG@@@@@@@@@@G@@@@@x@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@xG@@xG@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@IIIIIIIQJIIIIIIIIIIIIIIIIIIIIIIQJIIIIIIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIIIISRIIIIIIIIIIIIIIIIIIIIIQSRKIIIIIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIIIQRTKIIIIIIIIIIIIIIIIIIIQRRTRJIIIIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIIIRbTRIIIIIIIIIIIIIIIIIIQSRbTRRKIIIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIIQRjURJIIIIIIIIIIIIIIIIQRRTjURTRJIIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIISTdeRRIIIIIIIIIIIIIIIQSRbddedTRRKIIIIIIIIIIvvvvvvvv@@@@@@@@IIIIQRdmmdTKIIIIIIIIIIIIIQRRTjmmmmURTRJIIIIIIIIIvvvvvvvv@@@@@@@@IIIIRbm]cmTRIIIIIIIIIIIIQSRbdde]ceedTRRKIIIIIIIIvvvvvvvv@@@@@@@@IIIQRjemkeURJIIIIIIIIIIQRRTjmmmmkmmmURTRJIIIIIIIvvvvvvvv@@@@@@@@IIISTdm[[meRRIIIIIIIIIQSRbdde][[[[ceedTRRKIIIIIIvvvvvvvv@@@@@@@@IIQRdm[sn[mdTKIIIIIIIQRRTjmmmmksnkkmmmURTRJIIIIIvvvvvvvv@@@@@@@@IIRbm]k[^kcmTRIIIIIIQSRbdde][[[[^[[[ceedTRRKIIIIvvvvvvvv@@@@@@@@IQRjem[vv[keURJIIIIQRRTjmmmmksvvvvnkkmmmURTRJIIIvvvvvvvv@@@@@@@@ISTdm[vv^v[meRRIIIQSRbdde][[[[^v^^^[[[ceedTRRKIIvvvvvvvv@@@@@@@@QRdm[s^vv^n[mdTKIQRRTjmmmmksvvvvvvvvnkkmmmURTRJIvvvvvvvv@@@@@@@@Rbm]k[vvvv^kcmTRRSRbdde][[[[^vvvvv^^^[[[ceedTRRSvvvvvvvv@@@@@@@@@XC@@@@@@XG@@@@@@X[C@@@@@@XC@@@_@@@@X[C@@@@@[[[C@@@@X[[[@@@KC@@@@@@K_C@@@@@@KIY@@@@@@XY@@@[OC@@@KIY@@@@[I[IYC@@XKI[I[@XI[C@@XC@KKIY@@@@@@KIIICXC@@X[IC@XIIKC@@XIIIY@@@XIIIIIC@@XIIIIICKII[C@KY@XKIY@@@@[[IIIICKY@X[IIY@XII[@@@XIIII[[@KIIII[C@@X[IIIIYKIIIY[[@@KIY@@@_IIIIIIY[[KIIIY@XIIC@@@KIIIIII{KIIIICxGXIIIIY[IIIII@@KIY@@@_IIyIIIYIIIII[@XIIC@@@KIIIOII{IIIC@@@@XIII[IIIII@@KII[@@IIIII[IIIII[XKIIC@@@[IIIIIIIYC@@@@XKIIKIIIOII{@XIyIIC@IIIII[_IIyIIIYKIyIY@@@[IIIIIKIIIY@@@@@@KIIIYKIIIIII{@XIIIIC@[[KIIIY_IIIIIIYKIIIY@@@KIIIY[[KIIIY@xGxG@KIIIYXIIII[[@@[IIIIC@KY@X[IIY@[[IIIICKIIIYC@@KII[C@KYXKyOC@@@@@@XyOYCXIIIY@@@@KyOIyG@XC@@X[IC@@@KIIICIIIC@@XI[C@@XC@XII[@@@@@@[IIC@@KIY@@@[KyOIyG@@@@@@XY@@@@KIY@III[C@@KC@@@@@@XIIKCxGXYIIC@@X[C@@@KIIIIIC@@@@@@XC@@@@X[C@KIIIIIC@@XC@@@@@@KIIKC@@@@XYIIY@@@@@@@@@XIIIIY@@@@@@@@@@@@@@@@@@XIIIIY@@@@@@@@@@@OI[@@@@@@[Iy@@@@@@@@@@KYKYC@@@@@@@@@@@@@@@@@@@[I[IC@@@@@@@@@@@[C@@@@@@X[@@@@@@@@@@X[[C@@@@@@@@@@@@@@@@@@@@@[[[@@@@@@@@@@@@@@G@@@@@@x@@@@@[[[@@@@X[[C@@@@@RR@@@@@@RR@@@@@@RR@@@@@@@@@@@@@@@@@@@@@@@@@@@@@[I[IC@@@KYKYC@@@RzWR@@@@RzWR@@@@RzWR@@@@@@@@@@@@@@@@@@@@@@@@@@@XIIIIY@@XIIIIY@@PzOyWB@@PyWB@@PzWB@@@@@@@@@@@@@@@@@@@@@@@@@@KIIIIIF@NIIIIIC@PyOB@@PyIyB@@PyOB@@@@@@@@@@@@@@@@@@@@@@@@@@III[C@[KyOIyG@ROyR@@RyOyR@@ROyR@@@@@@@@@@@@@@@@@@@@@@@@@@IIIC@@@KyOIyG@zOyW@@zyyyW@@zyOW@@@@@@@@@@@@@@@@@@@@@@@@@@KIIIYCF@F[IIIIC@zyOW@@zyOW@@zOyW@@@@@@@@@@@@@@@@@@@@@@@@@@KIIIY@@@@XIIIIC@ROyR@@RyyR@@RyOR@@@@@@@@@@@@@@@@@@@@@@@@@@KIyIY@@@@XIyIIC@PB@@PyB@@PB@@@@@@@@@@@@@@@@@@@@@@@@@@XKIIC@F@F@KII[@@PzWB@@PyWB@@PzWB@@@@@@@@@@@@@@@@@@@@@@@@@@@XIIC@@@@@KIY@@@@RzWR@@@@RzWR@@@@RzWR@@@@@@@@@@@@@@@@@@@@@@@@@@@@XIIC@@@@@KIY@@@@@RR@@@@@@RR@@@@@@RR@@@@@@@@@@@@@@@@@@@@@@@@@@@@@XII[@@@@XKIY@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@XIIKC@@@KKIY@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@[OC@@@K_C@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@_@@@@XG@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@@",
   width: 128,
-  height: 128,
+  height: 192,
   colors: "e7f5f907480859412640200050301077542f141414",
 });
 
+/**
+ * The checkpoint flag in two 16x16 frames: furled until the checkpoint is reached, then flying while it is the respawn point.
+ */
+export const checkpointImg = new Img({
+  data: "@@@@@@@@@@@@@@@@@@@@@@@@@@A@@@@@@@A@@@@@@@Y[C@@@@@Q@@@@@@@Y[[C@@@@QB@@@@@@Y[[[C@@@QB@@@@@@Y[[C@@@@QR@@@@@@Y[C@@@@@QR@@@@@@A@@@@@@@QB@@@@@@A@@@@@@@Q@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@@A@@@@@@`d@@@@@@`d@@@@@@ddD@@@@@ddD@@@@",
+  width: 32,
+  height: 16,
+  colors: "9aa0a85a6068c07000141414",
+});
+
+/**
+ * The bitmap font: 3x5 glyphs with a drop shadow in 4x6 cells, for the characters from " " to "_" in ASCII order.
+ */
+export const fontImg = new Img({
+  data: "@@H@AAAAHAAAH@H@@AA@@@@@@@@@@@@A@@HBQQIQIRPQAAHBHPH@AAH@@@@@@@@Q@@HBPPQQHBHPHP@BHBHBHPIA@@IA@@HP@@@B@@IQHAABAA@@HBHBAAHRH@PR@@AB@@H@@@QQIRQAHQ@@@AABPP@BAB@@H@Q@@@@B@@PPPBPP@R@@@PP@@@@@P@@@@BP@IAH@IAIAAAIAIAIAIAIA@@@@@A@@A@IAQQIBPQPQQQQRQRPQQQQQH@H@HPIAH@PQQQHBIQHQIQIAIA@QIQIQ@B@BABPR@AHQQQHBQR@QPQPQQQHPQQPQH@H@H@IAHP@RIQIAIAIQ@QIQIQHBIQIQ@BAB@APRABH@PRPRPRPR@PPRPR@BPRPR@@P@@P@@P@@BIAH@I@HAI@IAIAHAAAIA@AAAA@AAI@H@QQAAQAARQAQRQRARQQHR@QQQQ@IQQAAAQQIQIPQ@QQI@I@QAIQHB@QIPQ@IQQQQQQPQQQAQ@QQQBQBQQQQHBAQQAQ@QQQQQQIAQQIPHAIPIAQ@HQQQIAHPQQIAQQQQHPPRPPPB@RPBPRP@@RPPPR@BPPPRPPPP@BI@H@I@HAIAAAAAAAAAAAIAHAA@I@H@@@QAAAQAARHRQQQQQQQQQQPQHRQ@HBAA@@IPQQIPH@HBQQQQIQHPHPHPHBH@HBPP@@QBIPQA@AHBQQQQIQAAHBABHB@AHB@@@@Q@HAQQIPHBIQHPQQQQHBIAHA@QIB@@IAP@@RPPPB@BPR@BPPPP@BPR@R@PPB@@PR",
+  width: 64,
+  height: 24,
+  colors: "ffffff141414",
+});
+
 export const zone00 = {
   carrots: [
-    [1, 2],
-    [4, 2],
-    [6, 2],
-    [10, 2],
-    [3, 4],
-    [8, 4],
-    [6, 5],
-    [10, 5],
-    [1, 6],
-    [4, 6],
+    [1, 2, 0],
+    [4, 2, 1],
+    [6, 2, 2],
+    [10, 2, 3],
+    [3, 4, 4],
+    [8, 4, 5],
+    [6, 5, 6],
+    [10, 5, 7],
+    [1, 6, 8],
+    [4, 6, 9],
   ],
   grass: [
     [2, 7],
@@ -109,23 +129,212 @@ export const zone00 = {
     [9, 7],
     [10, 7],
   ],
-  doors: [],
+  doors: [
+    {
+      x: 176,
+      y: 64,
+      width: 16,
+      height: 16,
+      destinationX: 24,
+      destinationY: -1,
+      destinationZone: "01",
+    },
+  ],
+  checkpoints: [],
+  enemies: [],
+  platforms: [],
+  volumes: [],
+  pickups: [],
   columns: 12,
   rows: 9,
   collisionMap: [
     0, 4, 4, 4, 4, 0, 4, 4, 0, 4, 4, 0, 2, 0, 0, 0, 0, 10, 0, 0, 14, 0, 0, 8, 2,
-    0, 0, 0, 0, 10, 0, 0, 0, 0, 0, 8, 0, 3, 0, 0, 13, 4, 7, 0, 0, 0, 13, 0, 0,
-    6, 0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 2, 0, 0, 1, 0, 0, 0, 0, 11, 0, 0, 8, 2, 0,
+    0, 0, 0, 0, 10, 0, 0, 0, 0, 0, 8, 0, 3, 0, 0, 13, 4, 7, 0, 0, 0, 13, 4, 0,
+    6, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 18, 0, 0, 0, 0, 11, 0, 0, 9, 2, 0,
     0, 0, 0, 0, 11, 0, 10, 0, 13, 0, 0, 3, 0, 0, 11, 0, 10, 0, 10, 0, 0, 8, 0,
     0, 1, 1, 0, 1, 0, 1, 0, 1, 1, 0,
   ],
   graphicalMap: [
     27, 36, 35, 5, 36, 25, 17, 35, 44, 17, 35, 5, 30, 39, 39, 39, 39, 11, 31,
     39, 19, 31, 39, 7, 38, 31, 39, 31, 31, 11, 39, 39, 39, 39, 39, 7, 30, 3, 31,
-    39, 4, 23, 6, 31, 31, 39, 4, 14, 22, 21, 39, 31, 31, 39, 31, 39, 31, 39, 31,
-    20, 38, 39, 39, 47, 39, 31, 39, 39, 3, 39, 31, 12, 10, 31, 31, 31, 31, 39,
-    3, 39, 11, 31, 4, 46, 40, 2, 39, 39, 3, 39, 11, 39, 11, 31, 39, 8, 24, 49,
-    2, 3, 37, 27, 23, 13, 11, 12, 13, 8,
+    39, 4, 23, 6, 31, 31, 39, 4, 36, 22, 21, 39, 31, 31, 39, 31, 39, 31, 39, 31,
+    39, 38, 39, 39, 47, 39, 31, 39, 39, 3, 39, 31, 0, 10, 31, 31, 31, 31, 39, 3,
+    39, 11, 31, 4, 46, 40, 2, 39, 39, 3, 39, 11, 39, 11, 31, 39, 8, 24, 49, 2,
+    3, 37, 27, 23, 13, 11, 12, 13, 8,
   ],
   id: "00",
+  name: "Warren",
+  spawn: [2, 7],
+};
+
+export const zone01 = {
+  carrots: [
+    [2, 1, 0],
+    [6, 1, 1],
+    [9, 2, 2],
+    [7, 4, 3],
+    [3, 6, 4],
+    [10, 6, 5],
+  ],
+  grass: [
+    [1, 7],
+    [2, 7],
+    [4, 7],
+    [7, 7],
+    [9, 7],
+  ],
+  doors: [
+    {
+      x: 0,
+      y: 64,
+      width: 16,
+      height: 16,
+      destinationX: 168,
+      destinationY: -1,
+      destinationZone: "00",
+    },
+    {
+      x: 176,
+      y: 32,
+      width: 16,
+      height: 16,
+      destinationX: 24,
+      destinationY: -1,
+      destinationZone: "02",
+    },
+  ],
+  checkpoints: [],
+  enemies: [{ type: "walker", column: 9, row: 7 }],
+  platforms: [],
+  volumes: [{ type: "ice", column: 7, row: 7, width: 4, height: 1 }],
+  pickups: [{ ability: "doubleJump", column: 5, row: 6 }],
+  columns: 12,
+  rows: 9,
+  collisionMap: [
+    0, 4, 4, 4, 0, 4, 4, 4, 4, 4, 0, 0, 2, 0, 0, 0, 14, 0, 0, 0, 0, 0, 12, 4, 2,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 7, 0, 18, 13, 7, 0, 0, 13, 1, 5, 1, 0,
+    0, 0, 0, 0, 0, 0, 0, 0, 14, 0, 8, 1, 5, 7, 0, 0, 15, 0, 0, 0, 0, 0, 8, 2, 0,
+    0, 0, 0, 0, 0, 0, 18, 0, 0, 8, 2, 0, 0, 11, 0, 0, 11, 0, 0, 0, 0, 8, 0, 1,
+    1, 0, 1, 1, 0, 1, 1, 1, 1, 0,
+  ],
+  graphicalMap: [
+    24, 17, 17, 17, 25, 17, 17, 17, 17, 17, 26, 9, 10, 31, 31, 31, 19, 39, 31,
+    39, 39, 39, 16, 17, 10, 39, 39, 31, 39, 31, 39, 39, 31, 39, 39, 39, 35, 6,
+    39, 47, 4, 6, 39, 39, 4, 14, 5, 28, 39, 39, 39, 39, 31, 31, 39, 39, 39, 19,
+    39, 8, 27, 5, 6, 39, 39, 7, 31, 39, 31, 31, 31, 8, 10, 31, 31, 39, 31, 31,
+    39, 39, 47, 39, 39, 8, 10, 39, 39, 3, 31, 39, 3, 39, 39, 39, 39, 8, 40, 1,
+    1, 41, 1, 1, 41, 1, 1, 1, 1, 42,
+  ],
+  id: "01",
+  name: "Thicket",
+  spawn: [1, 4],
+};
+
+export const zone02 = {
+  carrots: [
+    [3, 1, 0],
+    [5, 2, 1],
+    [10, 2, 2],
+    [2, 4, 3],
+    [9, 5, 4],
+    [15, 2, 5],
+    [21, 1, 6],
+    [16, 6, 7],
+    [13, 9, 8],
+    [20, 8, 9],
+    [2, 11, 10],
+    [9, 11, 11],
+    [17, 11, 12],
+  ],
+  grass: [
+    [2, 12],
+    [3, 12],
+    [6, 12],
+    [13, 12],
+    [18, 12],
+    [22, 12],
+  ],
+  doors: [
+    {
+      x: 0,
+      y: 32,
+      width: 16,
+      height: 16,
+      destinationX: 168,
+      destinationY: -1,
+      destinationZone: "01",
+    },
+  ],
+  checkpoints: [[13, 6]],
+  enemies: [
+    { type: "walker", column: 19, row: 12 },
+    { type: "hopper", column: 6, row: 12 },
+    { type: "flyer", column: 15, row: 2 },
+  ],
+  platforms: [
+    {
+      width: 2,
+      path: [
+        [12, 10],
+        [16, 10],
+      ],
+    },
+    {
+      width: 1,
+      path: [
+        [21, 11],
+        [21, 4],
+      ],
+      speed: 1.5,
+    },
+  ],
+  volumes: [
+    { type: "water", column: 1, row: 11, width: 3, height: 2 },
+    { type: "wind", column: 15, row: 8, width: 3, height: 4, forceX: -0.3 },
+  ],
+  pickups: [
+    { ability: "wallJump", column: 2, row: 6 },
+    { ability: "dash", column: 20, row: 7 },
+  ],
+  columns: 24,
+  rows: 14,
+  collisionMap: [
+    0, 4, 4, 4, 4, 4, 4, 4, 0, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 0, 6,
+    0, 0, 0, 0, 0, 0, 0, 14, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 0, 0,
+    0, 0, 0, 0, 0, 18, 0, 0, 0, 0, 18, 0, 0, 0, 0, 0, 11, 0, 0, 0, 0, 8, 1, 5,
+    5, 7, 0, 0, 0, 0, 0, 0, 0, 9, 5, 5, 7, 0, 0, 0, 10, 0, 0, 18, 0, 8, 2, 0, 0,
+    0, 0, 0, 13, 7, 0, 18, 0, 10, 0, 0, 0, 0, 0, 0, 10, 0, 0, 0, 0, 8, 2, 0, 0,
+    18, 0, 0, 0, 0, 0, 0, 0, 10, 0, 0, 18, 0, 0, 0, 12, 5, 7, 0, 0, 8, 2, 0, 0,
+    0, 11, 0, 0, 15, 0, 0, 0, 10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 2, 0, 0,
+    0, 10, 0, 0, 0, 0, 0, 0, 12, 5, 5, 7, 0, 0, 18, 0, 0, 0, 0, 0, 8, 0, 5, 5,
+    5, 6, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 11, 0, 0, 0, 0, 0, 0, 0, 8, 2, 0, 0, 0,
+    0, 0, 0, 18, 0, 0, 0, 11, 0, 0, 0, 14, 0, 0, 13, 7, 0, 0, 0, 8, 2, 0, 0, 0,
+    13, 7, 0, 0, 0, 0, 0, 10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 13, 0, 2, 0, 0, 0,
+    0, 0, 0, 0, 11, 0, 0, 14, 0, 0, 18, 0, 0, 0, 0, 15, 0, 0, 0, 8, 2, 0, 0, 0,
+    11, 0, 0, 0, 10, 21, 24, 0, 0, 0, 16, 16, 19, 20, 0, 0, 0, 0, 0, 8, 0, 1, 1,
+    1, 0, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 3, 17, 17, 9, 0,
+  ],
+  graphicalMap: [
+    24, 17, 17, 17, 17, 17, 17, 17, 25, 17, 17, 17, 17, 17, 17, 17, 17, 17, 17,
+    17, 17, 17, 17, 26, 18, 31, 39, 39, 31, 39, 39, 39, 19, 39, 39, 31, 39, 31,
+    39, 39, 39, 31, 31, 39, 39, 39, 39, 8, 39, 39, 39, 31, 31, 39, 31, 47, 39,
+    39, 39, 31, 47, 39, 31, 31, 39, 31, 3, 39, 31, 39, 39, 8, 27, 5, 5, 6, 39,
+    39, 39, 39, 39, 39, 39, 12, 5, 5, 6, 39, 39, 31, 11, 39, 31, 47, 31, 8, 10,
+    31, 39, 31, 39, 39, 4, 6, 39, 47, 39, 11, 39, 39, 39, 39, 39, 39, 11, 39,
+    39, 39, 39, 8, 10, 31, 39, 47, 39, 31, 39, 39, 39, 39, 31, 11, 39, 39, 47,
+    39, 39, 39, 20, 5, 6, 31, 39, 8, 10, 39, 31, 39, 3, 39, 39, 7, 39, 31, 31,
+    11, 39, 39, 39, 31, 39, 31, 39, 31, 31, 39, 39, 8, 10, 39, 31, 31, 11, 39,
+    39, 31, 39, 39, 39, 20, 5, 5, 6, 39, 39, 47, 39, 39, 31, 31, 39, 8, 32, 5,
+    5, 5, 21, 31, 31, 31, 39, 39, 31, 31, 39, 39, 39, 3, 39, 31, 39, 31, 39, 39,
+    39, 8, 10, 31, 39, 39, 39, 39, 39, 47, 39, 39, 39, 3, 39, 31, 39, 19, 39,
+    39, 4, 6, 39, 39, 39, 8, 10, 39, 31, 39, 4, 6, 39, 39, 39, 39, 39, 11, 39,
+    31, 39, 39, 39, 31, 39, 39, 39, 39, 4, 34, 10, 31, 31, 39, 39, 39, 39, 39,
+    3, 39, 39, 19, 39, 39, 47, 39, 39, 39, 31, 7, 39, 31, 39, 8, 10, 31, 39, 39,
+    3, 39, 39, 39, 11, 74, 77, 39, 31, 39, 50, 50, 72, 73, 39, 39, 39, 39, 39,
+    8, 40, 1, 1, 1, 41, 1, 1, 1, 41, 78, 78, 1, 1, 1, 1, 1, 78, 78, 1, 2, 31,
+    31, 0, 42,
+  ],
+  id: "02",
+  name: "Hollow",
+  spawn: [1, 2],
 };
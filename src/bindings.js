@@ -0,0 +1,153 @@
+/**
+ * KeyBindings class for mapping keys to actions, several keys per action.
+ * Keys are identified by KeyboardEvent.code, so they keep their position on any layout.
+ */
+export class KeyBindings {
+  /**
+   * The actions that can be bound, in the order they are listed to the player.
+   * @type {string[]}
+   */
+  static ACTIONS = [
+    "left",
+    "right",
+    "jump",
+    "down",
+    "dash",
+    "pause",
+    "restart",
+  ];
+
+  /**
+   * The built-in sets of bindings.
+   * @type {Object<string, Object<string, string[]>>}
+   */
+  static PRESETS = {
+    arrows: {
+      left: ["ArrowLeft"],
+      right: ["ArrowRight"],
+      jump: ["ArrowUp", "Space"],
+      down: ["ArrowDown"],
+      dash: ["KeyX", "ShiftLeft"],
+      pause: ["Escape", "KeyP"],
+      restart: ["KeyR"],
+    },
+    wasd: {
+      left: ["KeyA", "ArrowLeft"],
+      right: ["KeyD", "ArrowRight"],
+      jump: ["KeyW", "Space", "ArrowUp"],
+      down: ["KeyS", "ArrowDown"],
+      dash: ["ShiftLeft", "KeyJ"],
+      pause: ["Escape", "KeyP"],
+      restart: ["KeyR"],
+    },
+    zqsd: {
+      left: ["KeyQ", "ArrowLeft"],
+      right: ["KeyD", "ArrowRight"],
+      jump: ["KeyZ", "Space", "ArrowUp"],
+      down: ["KeyS", "ArrowDown"],
+      dash: ["ShiftLeft", "KeyJ"],
+      pause: ["Escape", "KeyP"],
+      restart: ["KeyR"],
+    },
+  };
+
+  /**
+   * The localStorage key the bindings are saved under.
+   * @type {string}
+   */
+  static STORAGE_KEY = "rabbit-trap-bindings";
+
+  /**
+   * Constructor for the KeyBindings class.
+   * @param {Object<string, string[]>} [bindings] - The codes bound to each action, the arrows preset if omitted.
+   */
+  constructor(bindings = KeyBindings.PRESETS.arrows) {
+    /**
+     * The codes bound to each action.
+     * @type {Object<string, string[]>}
+     */
+    this.actions = {};
+
+    this.set(bindings);
+  }
+
+  /**
+   * Binds a key to an action, taking it away from any other action.
+   * @param {string} action - The action to bind.
+   * @param {string} code - The KeyboardEvent.code of the key.
+   */
+  bind(action, code) {
+    this.unbind(code);
+    this.actions[action].push(code);
+  }
+
+  /**
+   * Returns the action a key is bound to.
+   * @param {string} code - The KeyboardEvent.code of the key.
+   * @returns {string|undefined} - The action, or undefined if the key is not bound.
+   */
+  getAction(code) {
+    return KeyBindings.ACTIONS.find((action) =>
+      this.actions[action].includes(code)
+    );
+  }
+
+  /**
+   * Loads the bindings saved in localStorage, keeping the current ones if there are none.
+   * Actions missing from the saved bindings, e.g. ones added since they were saved, keep their current keys.
+   * @param {Storage} [storage=window.localStorage] - The storage to load from.
+   */
+  load(storage = window.localStorage) {
+    try {
+      let saved = JSON.parse(storage.getItem(KeyBindings.STORAGE_KEY));
+
+      if (saved) this.set(Object.assign({}, this.actions, saved));
+    } catch (error) {
+      console.error("Could not load key bindings: " + error.message);
+    }
+  }
+
+  /**
+   * Saves the bindings in localStorage.
+   * @param {Storage} [storage=window.localStorage] - The storage to save to.
+   */
+  save(storage = window.localStorage) {
+    try {
+      storage.setItem(KeyBindings.STORAGE_KEY, JSON.stringify(this.actions));
+    } catch (error) {
+      console.error("Could not save key bindings: " + error.message);
+    }
+  }
+
+  /**
+   * Replaces every binding. Unknown actions are ignored and missing ones left unbound.
+   * @param {Object<string, string[]>} bindings - The codes bound to each action.
+   */
+  set(bindings) {
+    KeyBindings.ACTIONS.forEach((action) => {
+      this.actions[action] = Array.isArray(bindings[action])
+        ? bindings[action].slice()
+        : [];
+    });
+  }
+
+  /**
+   * Removes a key from the action it is bound to.
+   * @param {string} code - The KeyboardEvent.code of the key.
+   */
+  unbind(code) {
+    KeyBindings.ACTIONS.forEach((action) => {
+      this.actions[action] = this.actions[action].filter(
+        (value) => value != code
+      );
+    });
+  }
+
+  /**
+   * Replaces every binding with a preset.
+   * @param {string} name - The name of the preset.
+   */
+  usePreset(name) {
+    this.set(KeyBindings.PRESETS[name]);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Camera class for scrolling the view over zones larger than one screen.
+ */
+export class Camera {
+  /**
+   * Constructor for the Camera class.
+   * @param {number} width - The width of the view in pixels.
+   * @param {number} height - The height of the view in pixels.
+   * @param {number} [deadzoneWidth=32] - The width of the area the target can move in without scrolling.
+   * @param {number} [deadzoneHeight=32] - The height of the area the target can move in without scrolling.
+   */
+  constructor(width, height, deadzoneWidth = 32, deadzoneHeight = 32) {
+    /**
+     * The x-coordinate of the left edge of the view.
+     * @type {number}
+     */
+    this.x = 0;
+
+    /**
+     * The y-coordinate of the top edge of the view.
+     * @type {number}
+     */
+    this.y = 0;
+
+    /**
+     * The x-coordinate of the left edge of the view at the previous update.
+     * @type {number}
+     */
+    this.xOld = 0;
+
+    /**
+     * The y-coordinate of the top edge of the view at the previous update.
+     * @type {number}
+     */
+    this.yOld = 0;
+
+    /**
+     * The width of the view in pixels.
+     * @type {number}
+     */
+    this.width = width;
+
+    /**
+     * The height of the view in pixels.
+     * @type {number}
+     */
+    this.height = height;
+
+    /**
+     * The width of the area the target can move in without scrolling.
+     * @type {number}
+     */
+    this.deadzoneWidth = deadzoneWidth;
+
+    /**
+     * The height of the area the target can move in without scrolling.
+     * @type {number}
+     */
+    this.deadzoneHeight = deadzoneHeight;
+
+    /**
+     * The width of the area the view is clamped to.
+     * @type {number}
+     */
+    this.boundsWidth = width;
+
+    /**
+     * The height of the area the view is clamped to.
+     * @type {number}
+     */
+    this.boundsHeight = height;
+  }
+
+  /**
+   * Centers the view on the target, ignoring the deadzone.
+   * @param {GameObject} target - The object to center on.
+   */
+  center(target) {
+    this.x = target.getCenterX() - this.width * 0.5;
+    this.y = target.getCenterY() - this.height * 0.5;
+
+    this.clamp();
+
+    this.xOld = this.x;
+    this.yOld = this.y;
+  }
+
+  /**
+   * Keeps the view inside the bounds. A bound smaller than the view centers it.
+   */
+  clamp() {
+    if (this.boundsWidth <= this.width) {
+      this.x = (this.boundsWidth - this.width) * 0.5;
+    } else if (this.x < 0) {
+      this.x = 0;
+    } else if (this.x > this.boundsWidth - this.width) {
+      this.x = this.boundsWidth - this.width;
+    }
+
+    if (this.boundsHeight <= this.height) {
+      this.y = (this.boundsHeight - this.height) * 0.5;
+    } else if (this.y < 0) {
+      this.y = 0;
+    } else if (this.y > this.boundsHeight - this.height) {
+      this.y = this.boundsHeight - this.height;
+    }
+  }
+
+  /**
+   * Scrolls the view when the target leaves the deadzone.
+   * @param {GameObject} target - The object to follow.
+   */
+  follow(target) {
+    this.xOld = this.x;
+    this.yOld = this.y;
+
+    let centerX = target.getCenterX();
+    let centerY = target.getCenterY();
+    let left = this.x + (this.width - this.deadzoneWidth) * 0.5;
+    let top = this.y + (this.height - this.deadzoneHeight) * 0.5;
+
+    if (centerX < left) {
+      this.x -= left - centerX;
+    } else if (centerX > left + this.deadzoneWidth) {
+      this.x += centerX - left - this.deadzoneWidth;
+    }
+
+    if (centerY < top) {
+      this.y -= top - centerY;
+    } else if (centerY > top + this.deadzoneHeight) {
+      this.y += centerY - top - this.deadzoneHeight;
+    }
+
+    this.clamp();
+  }
+
+  /**
+   * Returns the x-coordinate of the view between the previous and the current update.
+   * @param {number} alpha - How far between the two updates, from 0 (previous) to 1 (current).
+   * @returns {number} - The interpolated x-coordinate.
+   */
+  getInterpolatedX(alpha) {
+    return this.xOld + (this.x - this.xOld) * alpha;
+  }
+
+  /**
+   * Returns the y-coordinate of the view between the previous and the current update.
+   * @param {number} alpha - How far between the two updates, from 0 (previous) to 1 (current).
+   * @returns {number} - The interpolated y-coordinate.
+   */
+  getInterpolatedY(alpha) {
+    return this.yOld + (this.y - this.yOld) * alpha;
+  }
+
+  /**
+   * Sets the size of the area the view is clamped to.
+   * @param {number} width - The width of the area in pixels.
+   * @param {number} height - The height of the area in pixels.
+   */
+  setBounds(width, height) {
+    this.boundsWidth = width;
+    this.boundsHeight = height;
+
+    this.clamp();
+  }
+}
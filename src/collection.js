@@ -0,0 +1,97 @@
+/**
+ * Collection class for the carrots collected in every zone, by their ids.
+ * It outlives {@link World#setup}, so carrots collected once stay collected when their zone is entered again.
+ */
+export class Collection {
+  /**
+   * Creates a new collection.
+   * @param {Object<string, number[]>} [collected={}] - The ids of the carrots collected in each zone, by zone id.
+   */
+  constructor(collected = {}) {
+    /**
+     * The ids of the carrots collected in each zone, by zone id.
+     * @type {Object<string, Set<number>>}
+     */
+    this.zones = {};
+
+    Object.keys(collected).forEach((zoneId) => {
+      collected[zoneId].forEach((id) => this.add(zoneId, id));
+    });
+  }
+
+  /**
+   * Adds a carrot to the collection.
+   * @param {string} zoneId - The id of the zone the carrot is in.
+   * @param {number} id - The id of the carrot.
+   */
+  add(zoneId, id) {
+    if (!this.zones[zoneId]) this.zones[zoneId] = new Set();
+
+    this.zones[zoneId].add(id);
+  }
+
+  /**
+   * Empties the collection.
+   */
+  clear() {
+    this.zones = {};
+  }
+
+  /**
+   * Counts the carrots collected in a zone, or in every zone.
+   * @param {string} [zoneId] - The id of the zone, or undefined for every zone.
+   * @returns {number} - The number of carrots collected.
+   */
+  count(zoneId) {
+    if (zoneId !== undefined) {
+      return this.zones[zoneId] ? this.zones[zoneId].size : 0;
+    }
+
+    return Object.keys(this.zones).reduce(
+      (count, id) => count + this.zones[id].size,
+      0
+    );
+  }
+
+  /**
+   * Checks if a carrot was collected.
+   * @param {string} zoneId - The id of the zone the carrot is in.
+   * @param {number} id - The id of the carrot.
+   * @returns {boolean} - True if the carrot was collected, false otherwise.
+   */
+  has(zoneId, id) {
+    return !!this.zones[zoneId] && this.zones[zoneId].has(id);
+  }
+
+  /**
+   * Returns the ids of the carrots collected in a zone.
+   * @param {string} zoneId - The id of the zone.
+   * @returns {number[]} - The ids of the carrots.
+   */
+  list(zoneId) {
+    return this.zones[zoneId] ? Array.from(this.zones[zoneId]) : [];
+  }
+
+  /**
+   * Replaces the carrots collected in a zone, e.g. to undo what was collected since entering it.
+   * @param {string} zoneId - The id of the zone.
+   * @param {number[]} ids - The ids of the carrots.
+   */
+  set(zoneId, ids) {
+    this.zones[zoneId] = new Set(ids);
+  }
+
+  /**
+   * Returns the ids of the collected carrots in plain arrays, e.g. to save them.
+   * @returns {Object<string, number[]>} - The ids of the carrots collected in each zone, by zone id.
+   */
+  toJSON() {
+    let collected = {};
+
+    Object.keys(this.zones).forEach((zoneId) => {
+      collected[zoneId] = Array.from(this.zones[zoneId]);
+    });
+
+    return collected;
+  }
+}
@@ -1,11 +1,34 @@
+import { KeyBindings } from "./bindings.js";
+
 /**
  * Controller class for handling button inputs.
  */
 export class Controller {
+  /**
+   * The standard gamepad buttons driving each action.
+   * @type {Object<string, number[]>}
+   */
+  static GAMEPAD_BUTTONS = {
+    left: [14],
+    right: [15],
+    jump: [0, 12],
+    down: [13],
+    dash: [2, 5],
+    pause: [9],
+    restart: [8],
+  };
+
+  /**
+   * How far the left stick has to be pushed before it counts as a press.
+   * @type {number}
+   */
+  static STICK_DEADZONE = 0.35;
+
   /**
    * Constructor for the Controller class.
+   * @param {KeyBindings} [bindings] - The keys bound to each action.
    */
-  constructor() {
+  constructor(bindings = new KeyBindings()) {
     /**
      * ButtonInput instance for the left button.
      */
@@ -20,25 +43,159 @@ export class Controller {
      * ButtonInput instance for the up button.
      */
     this.up = new Controller.ButtonInput();
+
+    /**
+     * ButtonInput instance for the down button.
+     */
+    this.down = new Controller.ButtonInput();
+
+    /**
+     * ButtonInput instance for the dash button.
+     */
+    this.dash = new Controller.ButtonInput();
+
+    /**
+     * ButtonInput instance for the pause button.
+     */
+    this.pause = new Controller.ButtonInput();
+
+    /**
+     * ButtonInput instance for the restart button.
+     */
+    this.restart = new Controller.ButtonInput();
+
+    /**
+     * The keys bound to each action.
+     * @type {KeyBindings}
+     */
+    this.bindings = bindings;
+
+    /**
+     * The codes of the keys currently held down.
+     * @type {Set<string>}
+     */
+    this.keys = new Set();
+
+    /**
+     * The actions currently held on any connected gamepad.
+     * @type {Set<string>}
+     */
+    this.pads = new Set();
+
+    /**
+     * The actions currently held on the touch screen.
+     * @type {Set<string>}
+     */
+    this.touches = new Set();
+  }
+
+  /**
+   * Returns the button an action drives.
+   * @param {string} action - The action ("left", "right", "jump", "down", "dash", "pause" or "restart").
+   * @returns {Controller.ButtonInput} - The button.
+   */
+  getButton(action) {
+    switch (action) {
+      case "left":
+        return this.left;
+      case "right":
+        return this.right;
+      case "jump":
+        return this.up;
+      case "down":
+        return this.down;
+      case "dash":
+        return this.dash;
+      case "pause":
+        return this.pause;
+      case "restart":
+        return this.restart;
+    }
   }
 
   /**
    * Handles key down and key up events.
+   * An action stays down while any of the keys bound to it is held.
    * @param {string} type - The type of the event ("keydown" or "keyup").
-   * @param {number} keyCode - The key code of the pressed or released key.
+   * @param {string} code - The KeyboardEvent.code of the pressed or released key.
+   * @returns {boolean} - True if the key is bound to an action, false otherwise.
+   */
+  keyDownUp(type, code) {
+    var action = this.bindings.getAction(code);
+
+    if (type == "keydown") this.keys.add(code);
+    else this.keys.delete(code);
+
+    if (!action) return false;
+
+    this.updateButton(action);
+
+    return true;
+  }
+
+  /**
+   * Reads the connected gamepads. Meant to be called once per engine tick.
+   * Disconnected gamepads are null entries, so their buttons are released.
+   * @param {(Gamepad|null)[]} gamepads - The result of navigator.getGamepads().
    */
-  keyDownUp(type, keyCode) {
-    var down = type == "keydown" ? true : false;
-    switch (keyCode) {
-      case 37:
-        this.left.getInput(down);
-        break;
-      case 38:
-        this.up.getInput(down);
-        break;
-      case 39:
-        this.right.getInput(down);
+  pollGamepads(gamepads) {
+    this.pads.clear();
+
+    for (let index = 0; index < gamepads.length; index++) {
+      let gamepad = gamepads[index];
+
+      if (!gamepad || !gamepad.connected) continue;
+
+      KeyBindings.ACTIONS.forEach((action) => {
+        if (
+          Controller.GAMEPAD_BUTTONS[action].some(
+            (button) => gamepad.buttons[button]?.pressed
+          )
+        ) {
+          this.pads.add(action);
+        }
+      });
+
+      let stickX = gamepad.axes[0] || 0;
+      let stickY = gamepad.axes[1] || 0;
+
+      if (stickX < -Controller.STICK_DEADZONE) this.pads.add("left");
+      if (stickX > Controller.STICK_DEADZONE) this.pads.add("right");
+      if (stickY > Controller.STICK_DEADZONE) this.pads.add("down");
     }
+
+    KeyBindings.ACTIONS.forEach((action) => this.updateButton(action));
+  }
+
+  /**
+   * Sets the actions held on the touch screen, releasing the others.
+   * @param {string[]} actions - The actions under the current touches.
+   */
+  touch(actions) {
+    this.touches = new Set(actions);
+    KeyBindings.ACTIONS.forEach((action) => this.updateButton(action));
+  }
+
+  /**
+   * Releases every button, e.g. when the bindings change while keys are held or a replay stops driving the controller.
+   */
+  releaseAll() {
+    this.keys.clear();
+    this.pads.clear();
+    this.touches.clear();
+    KeyBindings.ACTIONS.forEach((action) => this.updateButton(action));
+  }
+
+  /**
+   * Sets a button down while any of its keys, gamepad buttons or touch zones is held.
+   * @param {string} action - The action of the button.
+   */
+  updateButton(action) {
+    this.getButton(action).getInput(
+      this.pads.has(action) ||
+        this.touches.has(action) ||
+        this.bindings.actions[action].some((value) => this.keys.has(value))
+    );
   }
 
   /**
@@ -1,7 +1,28 @@
+/**
+ * @typedef {Object} Transition
+ * @property {string} type - The type of the transition, one of {@link Display.TRANSITIONS}.
+ * @property {number} duration - The number of updates the transition lasts.
+ * @property {number} time - The number of updates the transition has played.
+ * @property {number} fromX - The x-coordinate in the buffer an iris wipe closes on.
+ * @property {number} fromY - The y-coordinate in the buffer an iris wipe closes on.
+ * @property {number} toX - The x-coordinate in the buffer an iris wipe opens from.
+ * @property {number} toY - The y-coordinate in the buffer an iris wipe opens from.
+ * @property {number} directionX - The way a slide moves along the x-axis, -1, 0 or 1.
+ * @property {number} directionY - The way a slide moves along the y-axis, -1, 0 or 1.
+ */
+
 /**
  * Display class for handling the rendering of images on a canvas.
  */
 export class Display {
+  /**
+   * The types of transitions the display can play.
+   * A fade goes through black, an iris wipe closes a circle on one point and opens it on another,
+   * and a slide pushes the old frame out while the new one moves in.
+   * @type {string[]}
+   */
+  static TRANSITIONS = ["fade", "iris", "slide"];
+
   /**
    * Constructor for the Display class.
    * @param {HTMLCanvasElement} canvas - The HTML canvas element to render on.
@@ -18,33 +39,180 @@ export class Display {
      * @type {CanvasRenderingContext2D}
      */
     this.context = canvas.getContext("2d");
+
+    /**
+     * The x-coordinate of the buffer's left edge in the world.
+     * @type {number}
+     */
+    this.offsetX = 0;
+
+    /**
+     * The y-coordinate of the buffer's top edge in the world.
+     * @type {number}
+     */
+    this.offsetY = 0;
+
+    /**
+     * The offscreen canvas context the tiles of the current map are baked into.
+     * @type {CanvasRenderingContext2D}
+     */
+    this.tileLayer = document.createElement("canvas").getContext("2d");
+
+    /**
+     * The tileset image the tile layer was baked from.
+     * @type {HTMLImageElement}
+     */
+    this.tileLayerImage = undefined;
+
+    /**
+     * The map the tile layer was baked from.
+     * @type {number[]}
+     */
+    this.tileLayerMap = undefined;
+
+    /**
+     * The number of columns of the map the tile layer was baked from.
+     * @type {number}
+     */
+    this.tileLayerColumns = undefined;
+
+    /**
+     * The tile size the tile layer was baked with.
+     * @type {number}
+     */
+    this.tileLayerTileSize = undefined;
+
+    /**
+     * The offscreen canvas context holding the frame the current transition started from.
+     * @type {CanvasRenderingContext2D}
+     */
+    this.snapshotLayer = document.createElement("canvas").getContext("2d");
+
+    /**
+     * The transition being played, if any.
+     * @type {Transition|undefined}
+     */
+    this.transition = undefined;
   }
 
   /**
-   * Draws a map onto the buffer canvas.
+   * Bakes every tile of a map into the tile layer.
    * @param {HTMLImageElement} image - The image containing the tileset.
    * @param {number} imageColumns - The number of columns in the tileset image.
    * @param {number[]} map - The map data as an array of tile indices.
    * @param {number} mapColumns - The number of columns in the map.
    * @param {number} tileSize - The size of each tile in pixels.
    */
-  drawMap(image, imageColumns, map, mapColumns, tileSize) {
-    for (let index = map.length - 1; index > -1; --index) {
-      let value = map[index];
-      let sourceX = (value % imageColumns) * tileSize;
-      let sourceY = Math.floor(value / imageColumns) * tileSize;
-      let destinationX = (index % mapColumns) * tileSize;
-      let destinationY = Math.floor(index / mapColumns) * tileSize;
-      this.buffer.drawImage(
+  bakeMap(image, imageColumns, map, mapColumns, tileSize) {
+    this.tileLayer.canvas.width = mapColumns * tileSize;
+    this.tileLayer.canvas.height =
+      Math.ceil(map.length / mapColumns) * tileSize;
+    this.tileLayer.imageSmoothingEnabled = false;
+
+    this.drawTiles(
+      this.tileLayer,
+      image,
+      imageColumns,
+      map,
+      mapColumns,
+      tileSize
+    );
+
+    this.tileLayerImage = image;
+    this.tileLayerMap = map;
+    this.tileLayerColumns = mapColumns;
+    this.tileLayerTileSize = tileSize;
+  }
+
+  /**
+   * Measures the average time a frame spends drawing the part of a map inside the buffer,
+   * from the baked tile layer and tile by tile.
+   * @param {HTMLImageElement} image - The image containing the tileset.
+   * @param {number} imageColumns - The number of columns in the tileset image.
+   * @param {number[]} map - The map data as an array of tile indices.
+   * @param {number} mapColumns - The number of columns in the map.
+   * @param {number} tileSize - The size of each tile in pixels.
+   * @param {number} [frames=600] - The number of frames to draw with each method.
+   * @returns {{baked: number, tiles: number}} - The milliseconds per frame of each method.
+   */
+  benchmarkMap(image, imageColumns, map, mapColumns, tileSize, frames = 600) {
+    let start = window.performance.now();
+
+    for (let frame = 0; frame < frames; frame++) {
+      this.drawMap(image, imageColumns, map, mapColumns, tileSize);
+    }
+
+    let baked = (window.performance.now() - start) / frames;
+
+    start = window.performance.now();
+
+    for (let frame = 0; frame < frames; frame++) {
+      this.drawTiles(
+        this.buffer,
         image,
-        sourceX,
-        sourceY,
+        imageColumns,
+        map,
+        mapColumns,
         tileSize,
-        tileSize,
-        destinationX,
-        destinationY,
-        tileSize,
-        tileSize
+        this.offsetX,
+        this.offsetY
+      );
+    }
+
+    return { baked, tiles: (window.performance.now() - start) / frames };
+  }
+
+  /**
+   * Draws the part of a map that is inside the buffer at the current offset.
+   * The tiles are baked into the tile layer once and only baked again when the map or tileset changes.
+   * @param {HTMLImageElement} image - The image containing the tileset.
+   * @param {number} imageColumns - The number of columns in the tileset image.
+   * @param {number[]} map - The map data as an array of tile indices.
+   * @param {number} mapColumns - The number of columns in the map.
+   * @param {number} tileSize - The size of each tile in pixels.
+   */
+  drawMap(image, imageColumns, map, mapColumns, tileSize) {
+    if (
+      this.tileLayerImage !== image ||
+      this.tileLayerMap !== map ||
+      this.tileLayerColumns !== mapColumns ||
+      this.tileLayerTileSize !== tileSize
+    ) {
+      this.bakeMap(image, imageColumns, map, mapColumns, tileSize);
+    }
+
+    let layer = this.tileLayer.canvas;
+    let left = Math.max(this.offsetX, 0);
+    let top = Math.max(this.offsetY, 0);
+    let width =
+      Math.min(this.offsetX + this.buffer.canvas.width, layer.width) - left;
+    let height =
+      Math.min(this.offsetY + this.buffer.canvas.height, layer.height) - top;
+
+    if (
+      width < this.buffer.canvas.width ||
+      height < this.buffer.canvas.height
+    ) {
+      this.buffer.fillStyle = "#202830";
+      this.buffer.fillRect(
+        0,
+        0,
+        this.buffer.canvas.width,
+        this.buffer.canvas.height
+      );
+    }
+
+    if (width > 0 && height > 0) {
+      this.buffer.drawImage(
+        layer,
+        left,
+        top,
+        width,
+        height,
+        left - this.offsetX,
+        top - this.offsetY,
+        width,
+        height
       );
     }
   }
@@ -74,13 +242,148 @@ export class Display {
       sourceY,
       width,
       height,
-      Math.round(destinationX),
-      Math.round(destinationY),
+      Math.round(destinationX) - this.offsetX,
+      Math.round(destinationY) - this.offsetY,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Fills a rectangle of the world with a color.
+   * @param {number} x - The x-coordinate of the rectangle in the world.
+   * @param {number} y - The y-coordinate of the rectangle in the world.
+   * @param {number} width - The width of the rectangle.
+   * @param {number} height - The height of the rectangle.
+   * @param {string} color - The CSS color to fill with.
+   */
+  drawRectangle(x, y, width, height, color) {
+    this.buffer.fillStyle = color;
+    this.buffer.fillRect(
+      Math.round(x) - this.offsetX,
+      Math.round(y) - this.offsetY,
       width,
       height
     );
   }
 
+  /**
+   * Draws the tiles of a map that are inside a canvas, one by one.
+   * @param {CanvasRenderingContext2D} context - The context to draw on.
+   * @param {HTMLImageElement} image - The image containing the tileset.
+   * @param {number} imageColumns - The number of columns in the tileset image.
+   * @param {number[]} map - The map data as an array of tile indices.
+   * @param {number} mapColumns - The number of columns in the map.
+   * @param {number} tileSize - The size of each tile in pixels.
+   * @param {number} [offsetX=0] - The x-coordinate of the context's left edge in the map.
+   * @param {number} [offsetY=0] - The y-coordinate of the context's top edge in the map.
+   */
+  drawTiles(
+    context,
+    image,
+    imageColumns,
+    map,
+    mapColumns,
+    tileSize,
+    offsetX = 0,
+    offsetY = 0
+  ) {
+    let mapRows = Math.ceil(map.length / mapColumns);
+    let startColumn = Math.max(Math.floor(offsetX / tileSize), 0);
+    let startRow = Math.max(Math.floor(offsetY / tileSize), 0);
+    let endColumn = Math.min(
+      Math.ceil((offsetX + context.canvas.width) / tileSize),
+      mapColumns
+    );
+    let endRow = Math.min(
+      Math.ceil((offsetY + context.canvas.height) / tileSize),
+      mapRows
+    );
+
+    for (let row = startRow; row < endRow; row++) {
+      for (let column = startColumn; column < endColumn; column++) {
+        let value = map[row * mapColumns + column];
+        let sourceX = (value % imageColumns) * tileSize;
+        let sourceY = Math.floor(value / imageColumns) * tileSize;
+        let destinationX = column * tileSize - offsetX;
+        let destinationY = row * tileSize - offsetY;
+        context.drawImage(
+          image,
+          sourceX,
+          sourceY,
+          tileSize,
+          tileSize,
+          destinationX,
+          destinationY,
+          tileSize,
+          tileSize
+        );
+      }
+    }
+  }
+
+  /**
+   * Draws the transition being played over the frame in the buffer, the frame it leads to.
+   * Fades and iris wipes close on the snapshot during their first half and open on the new frame during the second.
+   * @param {number} alpha - How far the frame is between the previous and the last update.
+   */
+  drawTransition(alpha) {
+    let transition = this.transition;
+
+    if (!transition) return;
+
+    let buffer = this.buffer;
+    let snapshot = this.snapshotLayer.canvas;
+    let width = buffer.canvas.width;
+    let height = buffer.canvas.height;
+    let progress = Math.min((transition.time + alpha) / transition.duration, 1);
+    let closing = progress < 0.5;
+    let closed = closing ? progress * 2 : 2 - progress * 2;
+
+    switch (transition.type) {
+      case "iris":
+        if (closing) buffer.drawImage(snapshot, 0, 0);
+
+        buffer.fillStyle = "#000000";
+        buffer.beginPath();
+        buffer.rect(0, 0, width, height);
+        buffer.arc(
+          closing ? transition.fromX : transition.toX,
+          closing ? transition.fromY : transition.toY,
+          Math.hypot(width, height) * (1 - closed),
+          0,
+          Math.PI * 2
+        );
+        buffer.fill("evenodd");
+        break;
+      case "slide": {
+        let x = Math.round(transition.directionX * width * (1 - progress));
+        let y = Math.round(transition.directionY * height * (1 - progress));
+
+        /* The new frame moves in from the side the old one leaves through. */
+        buffer.drawImage(buffer.canvas, x, y);
+        buffer.drawImage(
+          snapshot,
+          x - transition.directionX * width,
+          y - transition.directionY * height
+        );
+        break;
+      }
+      default:
+        if (closing) buffer.drawImage(snapshot, 0, 0);
+
+        buffer.fillStyle = "rgba(0, 0, 0, " + closed + ")";
+        buffer.fillRect(0, 0, width, height);
+    }
+  }
+
+  /**
+   * Forces the tile layer to be baked again on the next drawMap, e.g. after a map is edited in place.
+   */
+  invalidateMap() {
+    this.tileLayerMap = undefined;
+  }
+
   /**
    * Resizes the canvas while maintaining the aspect ratio.
    * @param {number} width - The desired width of the canvas.
@@ -98,6 +401,62 @@ export class Display {
     this.context.imageSmoothingEnabled = false;
   }
 
+  /**
+   * Sets the position of the buffer in the world, usually from a camera.
+   * @param {number} x - The x-coordinate of the buffer's left edge.
+   * @param {number} y - The y-coordinate of the buffer's top edge.
+   */
+  setOffset(x, y) {
+    this.offsetX = Math.round(x);
+    this.offsetY = Math.round(y);
+  }
+
+  /**
+   * Starts a transition from the frame in the buffer, which is kept as its snapshot.
+   * Iris wipes default to the center of the buffer and slides to moving right.
+   * @param {string} type - The type of the transition, one of {@link Display.TRANSITIONS}.
+   * @param {number} duration - The number of updates the transition lasts.
+   * @param {Object} [options={}] - The fromX, fromY, toX, toY, directionX and directionY of the transition, see {@link Transition}.
+   */
+  startTransition(type, duration, options = {}) {
+    let width = this.buffer.canvas.width;
+    let height = this.buffer.canvas.height;
+
+    this.snapshotLayer.canvas.width = width;
+    this.snapshotLayer.canvas.height = height;
+    this.snapshotLayer.drawImage(this.buffer.canvas, 0, 0);
+
+    this.transition = Object.assign(
+      {
+        fromX: width * 0.5,
+        fromY: height * 0.5,
+        toX: width * 0.5,
+        toY: height * 0.5,
+        directionX: 1,
+        directionY: 0,
+      },
+      options,
+      { type: type, duration: duration, time: 0 }
+    );
+  }
+
+  /**
+   * Moves the transition being played on by one update, ending it after its duration.
+   * @returns {boolean} - True while the transition is playing, false once it is over.
+   */
+  updateTransition() {
+    if (!this.transition) return false;
+
+    this.transition.time++;
+
+    if (this.transition.time >= this.transition.duration) {
+      this.transition = undefined;
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Renders the buffer canvas onto the display canvas.
    */
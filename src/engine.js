@@ -6,7 +6,7 @@ export class Engine {
    * Constructor for the Engine class.
    * @param {number} timeStep - The desired time step between updates in milliseconds.
    * @param {Function} update - The update function to be called on each update.
-   * @param {Function} render - The render function to be called on each frame.
+   * @param {Function} render - The render function to be called on each frame, with the interpolation alpha between the last two updates.
    */
   constructor(timeStep, update, render) {
     /**
@@ -33,12 +33,6 @@ export class Engine {
      */
     this.timeStep = timeStep;
 
-    /**
-     * Indicates if the game state has been updated.
-     * @type {boolean}
-     */
-    this.updated = false;
-
     /**
      * The update function to be called on each update.
      * @type {Function}
@@ -47,6 +41,7 @@ export class Engine {
 
     /**
      * The render function to be called on each frame.
+     * It receives the timestamp and how far (0 to 1) the frame is between the previous and the last update.
      * @type {Function}
      */
     this.render = render;
@@ -58,6 +53,7 @@ export class Engine {
    */
   run(timeStamp) {
     this.animationFrameRequest = window.requestAnimationFrame(this.handleRun);
+
     this.accumulatedTime += timeStamp - this.time;
     this.time = timeStamp;
 
@@ -68,13 +64,9 @@ export class Engine {
     while (this.accumulatedTime >= this.timeStep) {
       this.accumulatedTime -= this.timeStep;
       this.update(timeStamp);
-      this.updated = true;
     }
 
-    if (this.updated) {
-      this.updated = false;
-      this.render(timeStamp);
-    }
+    this.render(timeStamp, this.accumulatedTime / this.timeStep);
   }
 
   /**
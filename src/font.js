@@ -0,0 +1,157 @@
+/**
+ * BitmapFont class for drawing text with the glyphs of a font image through {@link Display#drawObject}.
+ * Lowercase letters are drawn in uppercase and characters the font lacks as "?".
+ */
+export class BitmapFont {
+  /**
+   * Constructor for the BitmapFont class.
+   * @param {number} [glyphWidth=4] - The width of each glyph cell in the image, spacing included.
+   * @param {number} [glyphHeight=6] - The height of each glyph cell in the image.
+   * @param {number} [columns=16] - The number of glyphs in each row of the image.
+   * @param {number} [firstCode=32] - The character code of the first glyph.
+   * @param {number} [lastCode=95] - The character code of the last glyph.
+   */
+  constructor(
+    glyphWidth = 4,
+    glyphHeight = 6,
+    columns = 16,
+    firstCode = 32,
+    lastCode = 95
+  ) {
+    /**
+     * The width of each glyph cell, which is also how far the pen moves after each character.
+     * @type {number}
+     */
+    this.glyphWidth = glyphWidth;
+
+    /**
+     * The height of each glyph cell.
+     * @type {number}
+     */
+    this.glyphHeight = glyphHeight;
+
+    /**
+     * The distance between the tops of two lines.
+     * @type {number}
+     */
+    this.lineHeight = glyphHeight + 1;
+
+    /**
+     * The number of glyphs in each row of the image.
+     * @type {number}
+     */
+    this.columns = columns;
+
+    /**
+     * The character code of the first glyph.
+     * @type {number}
+     */
+    this.firstCode = firstCode;
+
+    /**
+     * The character code of the last glyph.
+     * @type {number}
+     */
+    this.lastCode = lastCode;
+  }
+
+  /**
+   * Draws text, one line per line break. Each line is aligned on the x-coordinate:
+   * it starts there, is centered on it or ends there.
+   * @param {Display} display - The display to draw on.
+   * @param {HTMLImageElement} image - The font image.
+   * @param {string} text - The text to draw.
+   * @param {number} x - The x-coordinate the lines are aligned on.
+   * @param {number} y - The y-coordinate of the top of the first line.
+   * @param {string} [align="left"] - The alignment of the lines ("left", "center" or "right").
+   * @param {number} [maxWidth=Infinity] - The width the lines are wrapped to, see {@link BitmapFont#wrap}.
+   */
+  draw(display, image, text, x, y, align = "left", maxWidth = Infinity) {
+    this.wrap(text, maxWidth).forEach((line, index) => {
+      let left = x;
+
+      if (align == "center") left -= Math.floor(this.measure(line) * 0.5);
+      else if (align == "right") left -= this.measure(line);
+
+      for (let column = 0; column < line.length; column++) {
+        let glyph = this.getGlyph(line[column]);
+
+        display.drawObject(
+          image,
+          (glyph % this.columns) * this.glyphWidth,
+          Math.floor(glyph / this.columns) * this.glyphHeight,
+          left + column * this.glyphWidth,
+          y + index * this.lineHeight,
+          this.glyphWidth,
+          this.glyphHeight
+        );
+      }
+    });
+  }
+
+  /**
+   * Returns the index of the glyph drawn for a character.
+   * @param {string} character - The character.
+   * @returns {number} - The index of the glyph in the image.
+   */
+  getGlyph(character) {
+    let code = character.toUpperCase().charCodeAt(0);
+
+    if (code < this.firstCode || code > this.lastCode) {
+      code = "?".charCodeAt(0);
+    }
+
+    return code - this.firstCode;
+  }
+
+  /**
+   * Measures the width of a single line of text.
+   * @param {string} line - The line to measure.
+   * @returns {number} - The width of the line in pixels.
+   */
+  measure(line) {
+    return line.length * this.glyphWidth;
+  }
+
+  /**
+   * Splits text into lines at its line breaks and wherever a line would be wider than a width.
+   * Lines are broken between words, and inside a word only if it is wider than the width on its own.
+   * @param {string} text - The text to split.
+   * @param {number} [maxWidth=Infinity] - The widest a line can be, in pixels.
+   * @returns {string[]} - The lines.
+   */
+  wrap(text, maxWidth = Infinity) {
+    let maxLength = Math.max(1, Math.floor(maxWidth / this.glyphWidth));
+    let lines = [];
+
+    String(text)
+      .split("\n")
+      .forEach((paragraph) => {
+        let line = "";
+
+        paragraph.split(" ").forEach((word) => {
+          while (word.length > maxLength) {
+            if (line) lines.push(line);
+
+            lines.push(word.slice(0, maxLength));
+            word = word.slice(maxLength);
+            line = "";
+          }
+
+          if (!word) return;
+
+          if (!line) line = word;
+          else if (line.length + 1 + word.length <= maxLength) {
+            line += " " + word;
+          } else {
+            lines.push(line);
+            line = word;
+          }
+        });
+
+        lines.push(line);
+      });
+
+    return lines;
+  }
+}
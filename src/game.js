@@ -1,3 +1,7 @@
+import { Collection } from "./collection.js";
+import { Random } from "./random.js";
+import { StateMachine } from "./state.js";
+
 /**
  * Represents a basic game object.
  */
@@ -14,6 +18,8 @@ export class GameObject {
     this.width = width;
     this.x = x;
     this.y = y;
+    this.xOld = x; // the position at the previous update, used to draw between updates.
+    this.yOld = y;
   }
 
   /**
@@ -77,6 +83,24 @@ export class GameObject {
     return this.y + this.height * 0.5;
   }
 
+  /**
+   * Returns the x-coordinate of the object between its previous and current position.
+   * @param {number} alpha - How far between the two positions, from 0 (previous) to 1 (current).
+   * @returns {number} - The interpolated x-coordinate.
+   */
+  getInterpolatedX(alpha) {
+    return this.xOld + (this.x - this.xOld) * alpha;
+  }
+
+  /**
+   * Returns the y-coordinate of the object between its previous and current position.
+   * @param {number} alpha - How far between the two positions, from 0 (previous) to 1 (current).
+   * @returns {number} - The interpolated y-coordinate.
+   */
+  getInterpolatedY(alpha) {
+    return this.yOld + (this.y - this.yOld) * alpha;
+  }
+
   /**
    * Returns the x-coordinate of the left edge of the object.
    * @returns {number} - The x-coordinate of the left edge.
@@ -170,8 +194,8 @@ export function AnimatorMixin(Superclass) {
      * Creates an instance of the Animator class extending the Superclass.
      *
      * @param {number[]} frameSet - The array of frame values.
-     * @param {number} delay - The delay between frames in animation (in milliseconds).
-     * @param {string} [mode="loop"] - The animation mode ("loop" or "pause").
+     * @param {number|number[]} delay - The delay between frames in animation (in updates), or the delay of each frame.
+     * @param {string} [mode="loop"] - The animation mode ("loop", "once", "pingpong" or "pause").
      * @param {...any} args - Additional arguments passed to the superclass constructor.
      */
     constructor(frameSet, delay, mode = "loop", ...args) {
@@ -184,10 +208,16 @@ export function AnimatorMixin(Superclass) {
       this.count = 0;
 
       /**
-       * The delay between frames in animation (in milliseconds).
+       * The delay between frames in animation (in updates), or the delay of each frame.
+       * @type {number|number[]}
+       */
+      this.delay = Array.isArray(delay) || delay >= 1 ? delay : 1;
+
+      /**
+       * The direction a "pingpong" animation steps through its frames in, 1 forward or -1 backward.
        * @type {number}
        */
-      this.delay = delay >= 1 ? delay : 1;
+      this.direction = 1;
 
       /**
        * The array of frame values.
@@ -208,10 +238,47 @@ export function AnimatorMixin(Superclass) {
       this.frameValue = frameSet[0];
 
       /**
-       * The animation mode ("loop" or "pause").
+       * The animation mode ("loop", "once", "pingpong" or "pause").
        * @type {string}
        */
       this.mode = mode;
+
+      /**
+       * Called with the frame value and index whenever a new frame is reached.
+       * @type {Function|undefined}
+       */
+      this.onFrame = undefined;
+
+      /**
+       * Called when a "once" animation has shown its last frame for its whole delay.
+       * @type {Function|undefined}
+       */
+      this.onEnd = undefined;
+    }
+
+    /**
+     * Advances the animation by one update, stepping to the frames chosen by a function.
+     * @param {Function} next - Returns the index of the frame after the current one, or undefined if there is none.
+     */
+    advance(next) {
+      this.count++;
+
+      while (this.count > this.getFrameDelay()) {
+        this.count -= this.getFrameDelay();
+
+        let frameIndex = next();
+
+        if (frameIndex === undefined) {
+          this.count = 0;
+          this.mode = "pause";
+
+          if (this.onEnd) this.onEnd();
+
+          return;
+        }
+
+        this.setFrame(frameIndex);
+      }
     }
 
     /**
@@ -222,6 +289,12 @@ export function AnimatorMixin(Superclass) {
         case "loop":
           this.loop();
           break;
+        case "once":
+          this.once();
+          break;
+        case "pingpong":
+          this.pingpong();
+          break;
         case "pause":
           break;
       }
@@ -231,8 +304,8 @@ export function AnimatorMixin(Superclass) {
      * Changes the frame set and animation parameters.
      *
      * @param {number[]} frameSet - The new array of frame values.
-     * @param {string} mode - The new animation mode ("loop" or "pause").
-     * @param {number} [delay=10] - The new delay between frames in animation (in milliseconds).
+     * @param {string} mode - The new animation mode ("loop", "once", "pingpong" or "pause").
+     * @param {number|number[]} [delay=10] - The new delay between frames in animation (in updates), or the delay of each frame.
      * @param {number} [frameIndex=0] - The new index of the current frame.
      */
     changeFrameSet(frameSet, mode, delay = 10, frameIndex = 0) {
@@ -242,26 +315,68 @@ export function AnimatorMixin(Superclass) {
 
       this.count = 0;
       this.delay = delay;
+      this.direction = 1;
       this.frameSet = frameSet;
-      this.frameIndex = frameIndex;
-      this.frameValue = frameSet[frameIndex];
       this.mode = mode;
+      this.setFrame(frameIndex);
+    }
+
+    /**
+     * Returns the delay of the current frame.
+     * @returns {number} - The number of updates the current frame is shown for.
+     */
+    getFrameDelay() {
+      return Array.isArray(this.delay)
+        ? this.delay[this.frameIndex]
+        : this.delay;
     }
 
     /**
      * Advances the frame animation in loop mode.
      */
     loop() {
-      this.count++;
+      this.advance(() =>
+        this.frameIndex < this.frameSet.length - 1 ? this.frameIndex + 1 : 0
+      );
+    }
+
+    /**
+     * Advances the frame animation in once mode, which stops on the last frame.
+     */
+    once() {
+      this.advance(() =>
+        this.frameIndex < this.frameSet.length - 1
+          ? this.frameIndex + 1
+          : undefined
+      );
+    }
 
-      while (this.count > this.delay) {
-        this.count -= this.delay;
+    /**
+     * Advances the frame animation in pingpong mode, which runs through the frames forward, then backward.
+     */
+    pingpong() {
+      this.advance(() => {
+        let frameIndex = this.frameIndex + this.direction;
+
+        if (frameIndex < 0 || frameIndex > this.frameSet.length - 1) {
+          this.direction = -this.direction;
+          frameIndex = this.frameIndex + this.direction;
+        }
+
+        /* A single frame has nowhere to bounce to. */
+        return Math.max(0, Math.min(frameIndex, this.frameSet.length - 1));
+      });
+    }
 
-        this.frameIndex =
-          this.frameIndex < this.frameSet.length - 1 ? this.frameIndex + 1 : 0;
+    /**
+     * Shows a frame of the current frame set and reports it to the frame callback.
+     * @param {number} frameIndex - The index of the frame.
+     */
+    setFrame(frameIndex) {
+      this.frameIndex = frameIndex;
+      this.frameValue = this.frameSet[frameIndex];
 
-        this.frameValue = this.frameSet[this.frameIndex];
-      }
+      if (this.onFrame) this.onFrame(this.frameValue, frameIndex);
     }
   };
 }
@@ -270,6 +385,148 @@ export function AnimatorMixin(Superclass) {
  * Represents a collider for collision detection.
  */
 export class Collider {
+  /**
+   * Collision value of a spikes tile, which kills objects touching it.
+   * @type {number}
+   */
+  static SPIKES = 16;
+
+  /**
+   * Collision value of a pit tile, an invisible tile that kills objects falling into it.
+   * @type {number}
+   */
+  static PIT = 17;
+
+  /**
+   * Collision value of a one-way platform, which can be jumped up through and dropped down through.
+   * @type {number}
+   */
+  static ONE_WAY = 18;
+
+  /**
+   * Collision value of a 45° slope rising to the right.
+   * @type {number}
+   */
+  static SLOPE_UP = 19;
+
+  /**
+   * Collision value of a 45° slope falling to the right.
+   * @type {number}
+   */
+  static SLOPE_DOWN = 20;
+
+  /**
+   * Collision value of the lower half of a 22.5° slope rising to the right.
+   * @type {number}
+   */
+  static SLOPE_UP_LOW = 21;
+
+  /**
+   * Collision value of the upper half of a 22.5° slope rising to the right.
+   * @type {number}
+   */
+  static SLOPE_UP_HIGH = 22;
+
+  /**
+   * Collision value of the upper half of a 22.5° slope falling to the right.
+   * @type {number}
+   */
+  static SLOPE_DOWN_HIGH = 23;
+
+  /**
+   * Collision value of the lower half of a 22.5° slope falling to the right.
+   * @type {number}
+   */
+  static SLOPE_DOWN_LOW = 24;
+
+  /**
+   * Checks if a collision value is a hazard.
+   * @param {number} value - The collision value.
+   * @returns {boolean} - True if touching the tile kills, false otherwise.
+   */
+  isHazard(value) {
+    return value == Collider.SPIKES || value == Collider.PIT;
+  }
+
+  /**
+   * Checks if a collision value is a slope.
+   * @param {number} value - The collision value.
+   * @returns {boolean} - True if the tile is a slope, false otherwise.
+   */
+  isSlope(value) {
+    return value >= Collider.SLOPE_UP && value <= Collider.SLOPE_DOWN_LOW;
+  }
+
+  /**
+   * Returns the y-coordinate of the surface of a slope tile at a point along it.
+   * @param {number} value - The collision value of the slope.
+   * @param {number} x - The x-coordinate of the point, relative to the left side of the tile.
+   * @param {number} tileY - The y-coordinate of the tile.
+   * @param {number} tileSize - The size of the tile.
+   * @returns {number} - The y-coordinate of the surface.
+   */
+  getSlopeTop(value, x, tileY, tileSize) {
+    let height;
+
+    x = Math.min(Math.max(x, 0), tileSize);
+
+    switch (value) {
+      case Collider.SLOPE_UP:
+        height = x;
+        break;
+      case Collider.SLOPE_DOWN:
+        height = tileSize - x;
+        break;
+      case Collider.SLOPE_UP_LOW:
+        height = x * 0.5;
+        break;
+      case Collider.SLOPE_UP_HIGH:
+        height = (tileSize + x) * 0.5;
+        break;
+      case Collider.SLOPE_DOWN_HIGH:
+        height = tileSize - x * 0.5;
+        break;
+      case Collider.SLOPE_DOWN_LOW:
+        height = (tileSize - x) * 0.5;
+        break;
+    }
+
+    return tileY + tileSize - height;
+  }
+
+  /**
+   * Handles collision with the surface of a slope under the horizontal center of an object.
+   * Objects on the ground also snap down to the surface, so they follow it when walking downhill.
+   * @param {number} value - The collision value of the slope.
+   * @param {MovingObject} object - The object involved in the collision.
+   * @param {number} tileX - The x-coordinate of the tile.
+   * @param {number} tileY - The y-coordinate of the tile.
+   * @param {number} tileSize - The size of the tile.
+   * @returns {boolean} - Returns true if a collision occurred, false otherwise.
+   */
+  collideSlope(value, object, tileX, tileY, tileSize) {
+    let top = this.getSlopeTop(
+      value,
+      object.getCenterX() - tileX,
+      tileY,
+      tileSize
+    );
+    let snap = object.jumping ? 0 : tileSize * 0.5;
+
+    if (
+      object.velocityY < 0 ||
+      object.getBottom() < top - snap ||
+      object.getOldBottom() > top + tileSize * 0.5
+    ) {
+      return false;
+    }
+
+    object.setBottom(top - 0.01);
+    object.velocityY = 0;
+    object.jumping = false;
+    return true;
+  }
+
   /**
    * Handles collision based on the provided value.
    * @param {number} value - The collision value.
@@ -342,9 +599,24 @@ export class Collider {
         if (this.collidePlatformLeft(object, tileX)) return;
         this.collidePlatformRight(object, tileX + tileSize);
         break;
+      case Collider.ONE_WAY:
+        this.collideOneWay(object, tileY);
+        break;
     }
   }
 
+  /**
+   * Handles collision with the top side of a one-way platform, unless the object is dropping through it.
+   * @param {MovingObject} object - The object involved in the collision.
+   * @param {number} platformTop - The y-coordinate of the top side of the platform.
+   * @returns {boolean} - Returns true if a collision occurred, false otherwise.
+   */
+  collideOneWay(object, platformTop) {
+    if (object.dropTime > 0) return false;
+
+    return this.collidePlatformTop(object, platformTop);
+  }
+
   /**
    * Handles collision with the bottom side of a platform.
    * @param {MovingObject} object - The object involved in the collision.
@@ -370,6 +642,7 @@ export class Collider {
     if (object.getRight() > tileLeft && object.getOldRight() <= tileLeft) {
       object.setRight(tileLeft - 0.01);
       object.velocityX = 0;
+      object.wallDirection = 1;
       return true;
     }
     return false;
@@ -385,6 +658,7 @@ export class Collider {
     if (object.getLeft() < tileRight && object.getOldLeft() >= tileRight) {
       object.setLeft(tileRight);
       object.velocityX = 0;
+      object.wallDirection = -1;
       return true;
     }
     return false;
@@ -481,6 +755,12 @@ export class MovingObject extends GameObject {
     this.velocityY = 0;
     this.xOld = x;
     this.yOld = y;
+
+    /**
+     * The side of the wall the object ran into during its last collision: -1 left, 1 right, 0 none.
+     * @type {number}
+     */
+    this.wallDirection = 0;
   }
 
   /**
@@ -578,6 +858,29 @@ export class MovingObject extends GameObject {
   setOldTop(y) {
     this.yOld = y;
   }
+
+  /**
+   * Updates the object's position based on gravity and friction.
+   * @param {number} gravity - The value of gravity affecting the object.
+   * @param {number} friction - The value of friction affecting the object's movement.
+   */
+  updatePosition(gravity, friction) {
+    this.xOld = this.x;
+    this.yOld = this.y;
+
+    this.velocityY += gravity;
+    this.velocityX *= friction;
+
+    /* Made it so that velocity cannot exceed velocityMax */
+    if (Math.abs(this.velocityX) > this.velocityMax)
+      this.velocityX = this.velocityMax * Math.sign(this.velocityX);
+
+    if (Math.abs(this.velocityY) > this.velocityMax)
+      this.velocityY = this.velocityMax * Math.sign(this.velocityY);
+
+    this.x += this.velocityX;
+    this.y += this.velocityY;
+  }
 }
 
 export const GameObjectAnimator = AnimatorMixin(GameObject);
@@ -593,22 +896,41 @@ export class Carrot extends GameObjectAnimator {
    * Creates a new carrot object.
    * @param {number} x - The x-coordinate of the carrot.
    * @param {number} y - The y-coordinate of the carrot.
+   * @param {Random} random - The generator used to pick the starting frame and bob phase.
+   * @param {number} id - The id of the carrot in its zone, which stays the same when the zone is edited.
    */
-  constructor(x, y) {
-    const frameSets = { twirl: [12, 13] };
+  constructor(x, y, random, id) {
+    const frameSets = { twirl: [12, 13], collect: [12, 13, 12, 13, 12] };
     super(frameSets.twirl, 15, "loop", x, y, 7, 14);
     this.frameSets = frameSets;
-    this.frameIndex = Math.floor(Math.random() * 2);
+    this.frameIndex = Math.floor(random.next() * 2);
     this.baseX = x;
     this.baseY = y;
-    this.positionX = Math.random() * Math.PI * 2;
+    this.positionX = random.next() * Math.PI * 2;
     this.positionY = this.positionX * 2;
+    this.id = id;
+    this.collected = false;
+  }
+
+  /**
+   * Marks the carrot as collected and plays its pickup animation, a quick spin as it floats up.
+   * @param {Function} [onEnd] - Called when the animation is over, e.g. to despawn the carrot.
+   */
+  collect(onEnd) {
+    this.collected = true;
+    this.changeFrameSet(this.frameSets.collect, "once", [2, 2, 2, 2, 4]);
+    this.onEnd = onEnd;
   }
 
   /**
    * Updates the position of the carrot object.
    */
   updatePosition() {
+    this.xOld = this.x;
+    this.yOld = this.y;
+
+    if (this.collected) this.baseY -= 1.5;
+
     this.positionX += 0.1;
     this.positionY += 0.2;
 
@@ -617,6 +939,39 @@ export class Carrot extends GameObjectAnimator {
   }
 }
 
+/**
+ * Represents a pickup granting the player an ability.
+ * @extends GameObjectAnimator
+ */
+export class Pickup extends GameObjectAnimator {
+  /**
+   * Creates a new pickup.
+   * @param {number} x - The x-coordinate of the pickup.
+   * @param {number} y - The y-coordinate of the pickup.
+   * @param {string} ability - The ability granted, one of {@link Player.ABILITIES}.
+   */
+  constructor(x, y, ability) {
+    const frameSets = { doubleJump: [33], wallJump: [34], dash: [35] };
+    super(frameSets[ability], 10, "pause", x, y, 12, 12);
+    this.frameSets = frameSets;
+    this.ability = ability;
+    this.baseY = y;
+    this.position = 0;
+  }
+
+  /**
+   * Updates the position of the pickup, bobbing up and down.
+   */
+  updatePosition() {
+    this.xOld = this.x;
+    this.yOld = this.y;
+
+    this.position += 0.1;
+
+    this.y = this.baseY + Math.sin(this.position) * 2;
+  }
+}
+
 /**
  * Represents a grass object.
  * @extends Animator
@@ -629,9 +984,9 @@ export class Grass extends Animator {
    */
   constructor(x, y) {
     const frameSets = {
-      wave: [14, 15, 16, 15],
+      wave: [14, 15, 16],
     };
-    super(frameSets.wave, 25);
+    super(frameSets.wave, 25, "pingpong");
     this.frameSets = frameSets;
     this.x = x;
     this.y = y;
@@ -653,139 +1008,1043 @@ export class Door extends GameObject {
    * @param {number} door.destinationX - The x-coordinate of the destination.
    * @param {number} door.destinationY - The y-coordinate of the destination.
    * @param {string} door.destinationZone - The destination zone.
+   * @param {string} [door.transition="slide"] - The screen transition to the destination, one of {@link Display.TRANSITIONS}.
    */
   constructor(door) {
     super(door.x, door.y, door.width, door.height);
     this.destinationX = door.destinationX;
     this.destinationY = door.destinationY;
     this.destinationZone = door.destinationZone;
+    this.transition = door.transition || "slide";
+
+    /**
+     * Indicates if the door is disabled because its destination is broken.
+     * @type {boolean}
+     */
+    this.disabled = false;
+  }
+
+  /**
+   * Returns the way the player leaves a zone through the door: toward the edge of the zone the door is closest to.
+   * @param {number} width - The width of the zone.
+   * @param {number} height - The height of the zone.
+   * @returns {number[]} - The direction, [x, y] with one of them -1 or 1 and the other 0.
+   */
+  getDirection(width, height) {
+    let distances = [
+      [this.getLeft(), -1, 0],
+      [width - this.getRight(), 1, 0],
+      [this.getTop(), 0, -1],
+      [height - this.getBottom(), 0, 1],
+    ];
+
+    distances.sort((a, b) => a[0] - b[0]);
+
+    return distances[0].slice(1);
   }
 }
 
 /**
- * Represents a player in the
- * @extends MovingObjectAnimator
+ * Represents a rectangle of a zone that changes how the player moves inside it, like water, ice or wind.
+ * @extends GameObject
  */
-export class Player extends MovingObjectAnimator {
+export class Volume extends GameObject {
   /**
-   * Creates a new player.
-   * @constructor
-   * @param {number} x - The initial x-coordinate of the player.
-   * @param {number} y - The initial y-coordinate of the player.
+   * The settings of each type of volume. Zone data can override any of them.
+   * @type {Object<string, Object>}
    */
-  constructor(x, y) {
+  static TYPES = {
+    water: {
+      gravity: 0.5,
+      drag: 0.9,
+      swim: true,
+      color: "rgba(48, 112, 224, 0.45)",
+    },
+    ice: { friction: 0.98, color: "rgba(208, 240, 255, 0.35)" },
+    wind: { forceX: 0.4, forceY: 0 },
+  };
+
+  /**
+   * Creates a volume from zone data.
+   * @param {VolumeData} volume - The volume data.
+   * @param {number} tileSize - The size of each tile.
+   */
+  constructor(volume, tileSize) {
+    super(
+      volume.column * tileSize,
+      volume.row * tileSize,
+      volume.width * tileSize,
+      volume.height * tileSize
+    );
+
+    let settings = Object.assign({}, Volume.TYPES[volume.type], volume);
+
     /**
-     * Frame sets for different player animations.
+     * The type of the volume.
+     * @type {string}
      */
-    const frameSets = {
-      idleLeft: [0],
-      jumpLeft: [1],
-      moveLeft: [2, 3, 4, 5],
-      idleRight: [6],
-      jumpRight: [7],
-      moveRight: [8, 9, 10, 11],
-    };
-    super(frameSets.idleLeft, 10, "loop", x, y, 7, 12);
+    this.type = volume.type;
 
     /**
-     * Frame sets for different player animations.
+     * The gravity inside the volume, or undefined to keep the zone's.
+     * @type {number|undefined}
      */
-    this.frameSets = frameSets;
+    this.gravity = settings.gravity;
 
     /**
-     * Indicates whether the player is currently jumping.
-     * @type {boolean}
+     * The friction inside the volume, or undefined to keep the zone's.
+     * @type {number|undefined}
      */
-    this.jumping = true;
+    this.friction = settings.friction;
 
     /**
-     * The direction of player movement along the x-axis.
+     * The factor the vertical velocity is multiplied by on every update, 1 for none.
      * @type {number}
      */
-    this.directionX = -1;
+    this.drag = settings.drag || 1;
 
     /**
-     * The velocity of the player along the x-axis.
+     * The velocity added along the x-axis on every update.
      * @type {number}
      */
-    this.velocityX = 0;
+    this.forceX = settings.forceX || 0;
 
     /**
-     * The velocity of the player along the y-axis.
+     * The velocity added along the y-axis on every update.
      * @type {number}
      */
-    this.velocityY = 0;
-  }
+    this.forceY = settings.forceY || 0;
 
-  /**
-   * Makes the player jump if not already jumping and not falling too fast.
-   */
-  jump() {
-    /* Made it so you can only jump if you aren't falling faster than 10px per frame. */
-    if (!this.jumping && this.velocityY < 10) {
-      this.jumping = true;
-      this.velocityY -= 13;
-    }
-  }
+    /**
+     * Indicates whether the player can swim, jumping again while in the air.
+     * @type {boolean}
+     */
+    this.swim = !!settings.swim;
 
-  /**
-   * Moves the player to the left.
-   */
-  moveLeft() {
-    this.directionX = -1;
-    this.velocityX -= 0.55;
+    /**
+     * The CSS color the volume is drawn with, or undefined if it isn't drawn.
+     * @type {string|undefined}
+     */
+    this.color = settings.color;
   }
+}
 
+/**
+ * Represents a one-way platform moving along a path of waypoints, carrying whatever stands on it.
+ * @extends MovingObject
+ */
+export class MovingPlatform extends MovingObject {
   /**
-   * Moves the player to the right.
+   * Creates a moving platform at the first waypoint of its path.
+   * @param {PlatformData} platform - The platform data.
+   * @param {number} tileSize - The size of each tile.
    */
-  moveRight() {
-    this.directionX = 1;
-    this.velocityX += 0.55;
-  }
+  constructor(platform, tileSize) {
+    let path = platform.path.map(([column, row]) => [
+      column * tileSize,
+      row * tileSize,
+    ]);
 
-  /**
-   * Updates the player's animation based on the current state.
-   */
-  updateAnimation() {
-    if (this.velocityY < 0) {
-      if (this.directionX < 0)
-        this.changeFrameSet(this.frameSets.jumpLeft, "pause");
-      else this.changeFrameSet(this.frameSets.jumpRight, "pause");
-    } else if (this.directionX < 0) {
-      if (this.velocityX < -0.1)
-        this.changeFrameSet(this.frameSets.moveLeft, "loop", 5);
-      else this.changeFrameSet(this.frameSets.idleLeft, "pause");
-    } else if (this.directionX > 0) {
-      if (this.velocityX > 0.1)
-        this.changeFrameSet(this.frameSets.moveRight, "loop", 5);
-      else this.changeFrameSet(this.frameSets.idleRight, "pause");
+    super(path[0][0], path[0][1], platform.width * tileSize, tileSize);
+
+    /**
+     * The waypoints of the platform in pixels, visited in order and then from the start again.
+     * @type {number[][]}
+     */
+    this.path = path;
+
+    /**
+     * The index of the waypoint the platform is moving to.
+     * @type {number}
+     */
+    this.target = path.length > 1 ? 1 : 0;
+
+    /**
+     * The distance the platform moves per update.
+     * @type {number}
+     */
+    this.speed = platform.speed || 1;
+
+    /**
+     * The tile set index the platform is drawn with, once per tile of its width.
+     * @type {number}
+     */
+    this.tile = platform.tile || 47;
+  }
+
+  /**
+   * Moves the platform toward its next waypoint.
+   */
+  updatePosition() {
+    let [x, y] = this.path[this.target];
+    let distanceX = x - this.x;
+    let distanceY = y - this.y;
+    let distance = Math.sqrt(distanceX * distanceX + distanceY * distanceY);
+
+    this.xOld = this.x;
+    this.yOld = this.y;
+
+    if (distance <= this.speed) {
+      this.x = x;
+      this.y = y;
+      this.target = (this.target + 1) % this.path.length;
+    } else {
+      this.x += (distanceX / distance) * this.speed;
+      this.y += (distanceY / distance) * this.speed;
+    }
+
+    this.velocityX = this.x - this.xOld;
+    this.velocityY = this.y - this.yOld;
+  }
+
+  /**
+   * Lands an object on top of the platform if it fell onto it this update.
+   * @param {MovingObject} object - The object to collide.
+   * @param {Collider} collider - The collider handling the one-way top side.
+   * @returns {boolean} - True if the object stands on the platform, false otherwise.
+   */
+  collideTop(object, collider) {
+    if (
+      object.getRight() <= this.getLeft() ||
+      object.getLeft() >= this.getRight()
+    )
+      return false;
+
+    return collider.collideOneWay(object, this.getTop());
+  }
+}
+
+/**
+ * Represents an enemy that hurts the player on contact and is defeated by landing on it.
+ * @extends MovingObjectAnimator
+ */
+export class Enemy extends MovingObjectAnimator {
+  /**
+   * The types of enemy zones can place.
+   * @type {string[]}
+   */
+  static TYPES = ["walker", "hopper", "flyer"];
+
+  /**
+   * Creates a new enemy.
+   * @param {number[]} frameSet - The frames of the enemy's animation.
+   * @param {number} delay - The delay between frames in animation.
+   * @param {number} x - The x-coordinate of the enemy.
+   * @param {number} y - The y-coordinate of the enemy.
+   * @param {number} width - The width of the enemy.
+   * @param {number} height - The height of the enemy.
+   */
+  constructor(frameSet, delay, x, y, width, height) {
+    super(frameSet, delay, "loop", x, y, width, height);
+
+    /**
+     * The direction the enemy moves in along the x-axis.
+     * @type {number}
+     */
+    this.directionX = -1;
+  }
+
+  /**
+   * Creates an enemy from zone data, standing on the bottom of its tile.
+   * @param {EnemyData} enemy - The enemy data.
+   * @param {number} tileSize - The size of each tile.
+   * @param {Random} random - The generator for the enemy's random values.
+   * @returns {Enemy} - The new enemy.
+   * @throws {Error} - If the type of the enemy is unknown.
+   */
+  static create(enemy, tileSize, random) {
+    let x = enemy.column * tileSize + tileSize * 0.5;
+    let y = (enemy.row + 1) * tileSize - 0.01;
+    let object;
+
+    switch (enemy.type) {
+      case "walker":
+        object = new Walker(0, 0);
+        break;
+      case "hopper":
+        object = new Hopper(0, 0);
+        break;
+      case "flyer":
+        object = new Flyer(0, 0, random);
+        break;
+      default:
+        throw new Error('Unknown enemy type "' + enemy.type + '".');
+    }
+
+    object.setCenterX(x);
+    object.setBottom(y);
+    object.xOld = object.x;
+    object.yOld = object.y;
+    object.baseY = object.y;
+
+    return object;
+  }
+
+  /**
+   * Checks if an object lands on the top of this enemy.
+   * @param {MovingObject} object - The falling object.
+   * @returns {boolean} - True if the object came from above the enemy, false otherwise.
+   */
+  isStompedBy(object) {
+    return (
+      object.velocityY > 0 && object.getOldBottom() <= this.getOldTop() + 4
+    );
+  }
+
+  /**
+   * Turns the enemy around.
+   */
+  turn() {
+    this.directionX = -this.directionX;
+  }
+
+  /**
+   * Moves the enemy for one update. Subclasses implement their own behavior.
+   * @param {World} world - The world the enemy lives in.
+   */
+  update(world) {}
+}
+
+/**
+ * Represents an enemy walking back and forth, turning at walls and ledges.
+ * @extends Enemy
+ */
+export class Walker extends Enemy {
+  /**
+   * Creates a new walker.
+   * @param {number} x - The x-coordinate of the walker.
+   * @param {number} y - The y-coordinate of the walker.
+   */
+  constructor(x, y) {
+    const frameSets = { walk: [17, 18] };
+    super(frameSets.walk, 6, x, y, 10, 9);
+    this.frameSets = frameSets;
+    this.speed = 0.8;
+  }
+
+  /**
+   * Walks in the current direction and turns when blocked or at a ledge.
+   * @param {World} world - The world the walker lives in.
+   */
+  update(world) {
+    this.velocityX = this.speed * this.directionX;
+    this.updatePosition(world.gravity, 1);
+    this.jumping = true;
+    world.collideObject(this);
+
+    let frontX = this.directionX < 0 ? this.getLeft() : this.getRight();
+
+    if (
+      this.velocityX == 0 ||
+      (!this.jumping && !world.isFloorAt(frontX, this.getBottom() + 1))
+    ) {
+      this.x = this.xOld;
+      this.turn();
+    }
+
+    this.animate();
+  }
+}
+
+/**
+ * Represents an enemy hopping forward in short jumps, turning at walls.
+ * @extends Enemy
+ */
+export class Hopper extends Enemy {
+  /**
+   * Creates a new hopper.
+   * @param {number} x - The x-coordinate of the hopper.
+   * @param {number} y - The y-coordinate of the hopper.
+   */
+  constructor(x, y) {
+    const frameSets = { sit: [19], hop: [20] };
+    super(frameSets.sit, 10, x, y, 10, 8);
+    this.frameSets = frameSets;
+
+    /**
+     * The number of updates left before the next hop.
+     * @type {number}
+     */
+    this.wait = 30;
+  }
+
+  /**
+   * Waits on the ground, then hops in the current direction.
+   * @param {World} world - The world the hopper lives in.
+   */
+  update(world) {
+    if (!this.jumping && --this.wait <= 0) {
+      this.wait = 30;
+      this.jumping = true;
+      this.velocityX = 2 * this.directionX;
+      this.velocityY = -10;
+    }
+
+    let velocityX = this.velocityX;
+
+    this.updatePosition(world.gravity, this.jumping ? 1 : 0);
+    this.jumping = true;
+    world.collideObject(this);
+
+    /* Only a wall stops the hopper mid-hop, so losing its speed means it hit one. */
+    if (velocityX != 0 && this.velocityX == 0 && this.jumping) {
+      this.turn();
+    }
+
+    this.changeFrameSet(
+      this.jumping ? this.frameSets.hop : this.frameSets.sit,
+      "pause"
+    );
+  }
+}
+
+/**
+ * Represents an enemy flying back and forth on a sine path, turning at walls.
+ * @extends Enemy
+ */
+export class Flyer extends Enemy {
+  /**
+   * Creates a new flyer.
+   * @param {number} x - The x-coordinate of the flyer.
+   * @param {number} y - The y-coordinate of the flyer.
+   * @param {Random} random - The generator used to pick the starting phase of the path.
+   */
+  constructor(x, y, random) {
+    const frameSets = { fly: [21, 22] };
+    super(frameSets.fly, 5, x, y, 12, 7);
+    this.frameSets = frameSets;
+    this.baseY = y;
+    this.phase = random.next() * Math.PI * 2;
+  }
+
+  /**
+   * Flies in the current direction, bobbing up and down around its starting height.
+   * @param {World} world - The world the flyer lives in.
+   */
+  update(world) {
+    this.phase += 0.08;
+    this.velocityX = this.directionX;
+    this.velocityY = this.baseY + Math.sin(this.phase) * 12 - this.y;
+    this.updatePosition(0, 1);
+    world.collideObject(this);
+
+    if (this.velocityX == 0) {
+      this.turn();
+    }
+
+    this.animate();
+  }
+}
+
+/**
+ * Represents a player in the
+ * @extends MovingObjectAnimator
+ */
+export class Player extends MovingObjectAnimator {
+  /**
+   * The default velocity given to the player by a jump.
+   * @type {number}
+   */
+  static JUMP_IMPULSE = 13;
+
+  /**
+   * The default velocity given to the player by a stroke when swimming.
+   * @type {number}
+   */
+  static SWIM_IMPULSE = 5;
+
+  /**
+   * The default velocity added every update while the player is moving left or right.
+   * @type {number}
+   */
+  static ACCELERATION = 0.55;
+
+  /**
+   * The default number of updates the player can still jump after walking off a ledge.
+   * @type {number}
+   */
+  static COYOTE_TIME = 5;
+
+  /**
+   * The default number of updates a jump press is remembered before it can be used.
+   * @type {number}
+   */
+  static JUMP_BUFFER_TIME = 5;
+
+  /**
+   * The default factor the rising velocity is multiplied by when the jump button is let go early.
+   * @type {number}
+   */
+  static JUMP_CUT = 0.5;
+
+  /**
+   * The abilities pickups can grant.
+   * @type {string[]}
+   */
+  static ABILITIES = ["doubleJump", "wallJump", "dash"];
+
+  /**
+   * The number of updates a dash lasts.
+   * @type {number}
+   */
+  static DASH_TIME = 8;
+
+  /**
+   * The horizontal velocity of a dash.
+   * @type {number}
+   */
+  static DASH_SPEED = 8;
+
+  /**
+   * The fastest the player falls while sliding down a wall.
+   * @type {number}
+   */
+  static WALL_SLIDE_SPEED = 2;
+
+  /**
+   * The horizontal velocity a wall jump pushes the player away from the wall with.
+   * @type {number}
+   */
+  static WALL_JUMP_PUSH = 6;
+
+  /**
+   * The number of updates the player stays in the land state when not moving on.
+   * @type {number}
+   */
+  static LAND_TIME = 3;
+
+  /**
+   * The frames of the run animations on which a foot hits the ground.
+   * @type {number[]}
+   */
+  static FOOTSTEP_FRAMES = [3, 5, 9, 11];
+
+  /**
+   * The states of the player, see {@link StateMachine}. Besides its hooks, each state binds an animation:
+   * the frame sets shown facing left and right, or a single one, with the mode and delay to play them with.
+   * A state can also decide which way the player faces, otherwise it is the direction they move in.
+   * @type {Object<string, State>}
+   */
+  static STATES = {
+    idle: {
+      animation: { left: "idleLeft", right: "idleRight", mode: "pause" },
+      transitions: ["run", "jump", "fall", "wallSlide", "dash", "hurt", "dead"],
+      update: (player) => player.getGroundState(),
+    },
+    run: {
+      animation: {
+        left: "moveLeft",
+        right: "moveRight",
+        mode: "loop",
+        delay: 5,
+      },
+      transitions: [
+        "idle",
+        "jump",
+        "fall",
+        "wallSlide",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => player.getGroundState(),
+    },
+    land: {
+      animation: { left: "jumpLeft", right: "jumpRight", mode: "pause" },
+      transitions: [
+        "idle",
+        "run",
+        "jump",
+        "fall",
+        "wallSlide",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => {
+        let next = player.getGroundState();
+
+        /* Standing still after a landing holds the landing pose for a moment. */
+        return next == "idle" && player.state.time < Player.LAND_TIME
+          ? undefined
+          : next;
+      },
+    },
+    jump: {
+      animation: { left: "jumpLeft", right: "jumpRight", mode: "pause" },
+      transitions: [
+        "doubleJump",
+        "fall",
+        "wallSlide",
+        "land",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => player.getAirState(),
+    },
+    doubleJump: {
+      animation: {
+        left: "doubleJumpLeft",
+        right: "doubleJumpRight",
+        mode: "loop",
+        delay: 3,
+      },
+      transitions: [
+        "jump",
+        "fall",
+        "wallSlide",
+        "land",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => player.getAirState(),
+    },
+    fall: {
+      animation: { left: "jumpLeft", right: "jumpRight", mode: "pause" },
+      transitions: [
+        "jump",
+        "doubleJump",
+        "wallSlide",
+        "land",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => player.getAirState(),
+    },
+    wallSlide: {
+      animation: {
+        left: "wallSlideLeft",
+        right: "wallSlideRight",
+        mode: "pause",
+      },
+      /* The player faces away from the wall they slide down. */
+      facing: (player) => -player.wallDirection,
+      transitions: [
+        "jump",
+        "doubleJump",
+        "fall",
+        "land",
+        "dash",
+        "hurt",
+        "dead",
+      ],
+      update: (player) => player.getAirState(),
+    },
+    dash: {
+      animation: { left: "dashLeft", right: "dashRight", mode: "pause" },
+      transitions: [
+        "idle",
+        "run",
+        "jump",
+        "doubleJump",
+        "fall",
+        "wallSlide",
+        "land",
+        "hurt",
+        "dead",
+      ],
+      enter: (player) => {
+        player.dashed = true;
+        player.dashTime = Player.DASH_TIME;
+        player.velocityX = player.directionX * Player.DASH_SPEED;
+        player.velocityY = 0;
+      },
+      /* Cuts the dash short if the player is hurt in the middle of it. */
+      exit: (player) => {
+        player.dashTime = 0;
+      },
+      update: (player) =>
+        player.dashTime > 0 ? undefined : player.getGroundState(),
+    },
+    hurt: {
+      animation: { frameSet: "die", mode: "loop", delay: 3 },
+      transitions: [],
+      enter: (player) => player.knockOut(),
+    },
+    dead: {
+      animation: { frameSet: "die", mode: "loop", delay: 3 },
+      transitions: [],
+      enter: (player) => player.knockOut(),
+    },
+  };
+
+  /**
+   * Creates a new player.
+   * @constructor
+   * @param {number} x - The initial x-coordinate of the player.
+   * @param {number} y - The initial y-coordinate of the player.
+   */
+  constructor(x, y) {
+    /**
+     * Frame sets for different player animations.
+     */
+    const frameSets = {
+      idleLeft: [0],
+      jumpLeft: [1],
+      moveLeft: [2, 3, 4, 5],
+      idleRight: [6],
+      jumpRight: [7],
+      moveRight: [8, 9, 10, 11],
+      die: [1, 7],
+      doubleJumpLeft: [23, 24, 25],
+      doubleJumpRight: [26, 27, 28],
+      dashLeft: [29],
+      dashRight: [30],
+      wallSlideLeft: [31],
+      wallSlideRight: [32],
+    };
+    super(frameSets.idleLeft, 10, "loop", x, y, 7, 12);
+
+    /**
+     * The velocity given to the player by a jump.
+     * @type {number}
+     */
+    this.jumpImpulse = Player.JUMP_IMPULSE;
+
+    /**
+     * The velocity given to the player by a stroke when swimming.
+     * @type {number}
+     */
+    this.swimImpulse = Player.SWIM_IMPULSE;
+
+    /**
+     * The velocity added every update while the player is moving left or right.
+     * @type {number}
+     */
+    this.acceleration = Player.ACCELERATION;
+
+    /**
+     * The number of updates the player can still jump after walking off a ledge.
+     * @type {number}
+     */
+    this.coyoteTime = Player.COYOTE_TIME;
+
+    /**
+     * The number of updates a jump press is remembered before it can be used.
+     * @type {number}
+     */
+    this.jumpBufferTime = Player.JUMP_BUFFER_TIME;
+
+    /**
+     * The factor the rising velocity is multiplied by when the jump button is let go early.
+     * @type {number}
+     */
+    this.jumpCut = Player.JUMP_CUT;
+
+    /**
+     * The number of updates left in which a jump from the ground is allowed.
+     * @type {number}
+     */
+    this.coyote = 0;
+
+    /**
+     * The number of updates left in which a remembered jump press is tried.
+     * @type {number}
+     */
+    this.jumpBuffer = 0;
+
+    /**
+     * Indicates whether the jump button was let go since the last jump.
+     * @type {boolean}
+     */
+    this.jumpReleased = true;
+
+    /**
+     * Indicates whether the player is in a volume they can swim in.
+     * @type {boolean}
+     */
+    this.swimming = false;
+
+    /**
+     * The abilities the player has picked up.
+     * @type {Set<string>}
+     */
+    this.abilities = new Set();
+
+    /**
+     * Indicates whether the double jump was used since the player left the ground.
+     * @type {boolean}
+     */
+    this.airJumped = false;
+
+    /**
+     * Indicates whether a dash was used since the player left the ground.
+     * @type {boolean}
+     */
+    this.dashed = false;
+
+    /**
+     * The number of updates left in the current dash.
+     * @type {number}
+     */
+    this.dashTime = 0;
+
+    /**
+     * Frame sets for different player animations.
+     */
+    this.frameSets = frameSets;
+
+    /**
+     * Indicates whether the player is currently jumping.
+     * @type {boolean}
+     */
+    this.jumping = true;
+
+    /**
+     * The direction of player movement along the x-axis.
+     * @type {number}
+     */
+    this.directionX = -1;
+
+    /**
+     * The velocity of the player along the x-axis.
+     * @type {number}
+     */
+    this.velocityX = 0;
+
+    /**
+     * The velocity of the player along the y-axis.
+     * @type {number}
+     */
+    this.velocityY = 0;
+
+    /**
+     * Indicates whether the player is dead and waiting to respawn.
+     * @type {boolean}
+     */
+    this.dead = false;
+
+    /**
+     * The number of updates left before a dead player respawns.
+     * @type {number}
+     */
+    this.deathTime = 0;
+
+    /**
+     * The number of updates left during which the player falls through one-way platforms.
+     * @type {number}
+     */
+    this.dropTime = 0;
+
+    /**
+     * The moving platform the player stands on, if any.
+     * @type {MovingPlatform|undefined}
+     */
+    this.platform = undefined;
+
+    /**
+     * The state machine tracking what the player is doing.
+     * @type {StateMachine}
+     */
+    this.state = new StateMachine(this, Player.STATES, "fall");
+  }
+
+  /**
+   * Kills the player, who pops up and falls through the floor before respawning.
+   * @param {boolean} [lastLife=false] - Indicates if the player lost their last life.
+   */
+  die(lastLife = false) {
+    this.state.set(lastLife ? "dead" : "hurt");
+  }
+
+  /**
+   * Makes the player dash forward, ignoring gravity for a short time. Needs the dash ability.
+   */
+  dash() {
+    if (this.abilities.has("dash") && !this.dashed) {
+      this.state.set("dash");
     }
+  }
 
-    this.animate();
+  /**
+   * Returns the state a player in the air should be in.
+   * @returns {string} - The name of the state.
+   */
+  getAirState() {
+    if (this.dashTime > 0) return "dash";
+    if (this.isOnGround()) return "land";
+    if (this.isWallSliding()) return "wallSlide";
+    if (this.velocityY < 0) return this.airJumped ? "doubleJump" : "jump";
+
+    return "fall";
   }
 
   /**
-   * Updates the player's position based on gravity and friction.
-   * @param {number} gravity - The value of gravity affecting the player.
-   * @param {number} friction - The value of friction affecting the player's movement.
+   * Returns the state a player on the ground should be in.
+   * @returns {string} - The name of the state.
    */
-  updatePosition(gravity, friction) {
-    this.xOld = this.x;
-    this.yOld = this.y;
+  getGroundState() {
+    if (!this.isOnGround()) return this.getAirState();
 
-    this.velocityY += gravity;
-    this.velocityX *= friction;
+    return this.velocityX * this.directionX > 0.1 ? "run" : "idle";
+  }
 
-    /* Made it so that velocity cannot exceed velocityMax */
-    if (Math.abs(this.velocityX) > this.velocityMax)
-      this.velocityX = this.velocityMax * Math.sign(this.velocityX);
+  /**
+   * Checks if the player is standing on the ground, not in the air or in a dash.
+   * @returns {boolean} - True if the player is on the ground, false otherwise.
+   */
+  isOnGround() {
+    return !this.jumping && this.velocityY == 0 && this.dashTime == 0;
+  }
 
-    if (Math.abs(this.velocityY) > this.velocityMax)
-      this.velocityY = this.velocityMax * Math.sign(this.velocityY);
+  /**
+   * Checks if the player is sliding down the wall they are pushing against. Needs the wall jump ability.
+   * @returns {boolean} - True if the player is sliding down a wall, false otherwise.
+   */
+  isWallSliding() {
+    return (
+      !this.dead &&
+      this.abilities.has("wallJump") &&
+      this.wallDirection != 0 &&
+      this.velocityY > 0
+    );
+  }
 
-    this.x += this.velocityX;
-    this.y += this.velocityY;
+  /**
+   * Makes the player drop down through the one-way platform they stand on.
+   */
+  drop() {
+    if (!this.dead && !this.jumping) {
+      this.dropTime = 4;
+      this.platform = undefined;
+    }
+  }
+
+  /**
+   * Pops the player up so they fall out of the zone, when hurt or dead.
+   */
+  knockOut() {
+    this.dead = true;
+    this.deathTime = 45;
+    this.platform = undefined;
+    this.jumping = true;
+    this.velocityX = 0;
+    this.velocityY = -10;
+  }
+
+  /**
+   * Makes the player jump from the ground, or from a wall or the air with the matching ability.
+   * The ground counts for a few updates after walking off a ledge, see {@link Player#coyoteTime}.
+   * While swimming, every press is a stroke upward, even in the middle of the water.
+   * @returns {boolean} - True if the player jumped, false otherwise.
+   */
+  jump() {
+    if (this.dead) return false;
+
+    if (this.swimming) {
+      this.jumping = true;
+      this.jumpReleased = true;
+      this.velocityY = -this.swimImpulse;
+      return true;
+    }
+
+    if (!this.jumping && this.coyote > 0) {
+      this.coyote = 0;
+      this.velocityY = -this.jumpImpulse;
+    } else if (this.wallDirection != 0 && this.abilities.has("wallJump")) {
+      this.airJumped = false;
+      this.directionX = -this.wallDirection;
+      this.velocityX = this.directionX * Player.WALL_JUMP_PUSH;
+      this.velocityY = -this.jumpImpulse;
+    } else if (!this.airJumped && this.abilities.has("doubleJump")) {
+      this.airJumped = true;
+      this.velocityY = -this.jumpImpulse;
+    } else {
+      return false;
+    }
+
+    this.jumping = true;
+    this.jumpReleased = false;
+    return true;
+  }
+
+  /**
+   * Handles the jump button for one update. A press is remembered for a few updates,
+   * so it still counts when it comes just before landing, and letting go while rising cuts the jump.
+   * @param {boolean} pressed - Indicates if the button was pressed this update.
+   * @param {boolean} held - Indicates if the button is held down.
+   */
+  updateJump(pressed, held) {
+    if (pressed) this.jumpBuffer = this.jumpBufferTime;
+
+    if (this.jumpBuffer > 0) {
+      this.jumpBuffer--;
+
+      if (this.jump()) this.jumpBuffer = 0;
+    }
+
+    if (!held && !this.jumpReleased) {
+      this.jumpReleased = true;
+
+      if (this.velocityY < 0) this.velocityY *= this.jumpCut;
+    }
+  }
+
+  /**
+   * Moves the player to the left.
+   */
+  moveLeft() {
+    if (this.dead) return;
+
+    this.directionX = -1;
+    this.velocityX -= this.acceleration;
+  }
+
+  /**
+   * Moves the player to the right.
+   */
+  moveRight() {
+    if (this.dead) return;
+
+    this.directionX = 1;
+    this.velocityX += this.acceleration;
+  }
+
+  /**
+   * Brings a dead player back to life at the given position.
+   * @param {number} x - The x-coordinate to respawn at.
+   * @param {number} y - The y-coordinate to respawn at.
+   */
+  respawn(x, y) {
+    this.dead = false;
+    this.deathTime = 0;
+    this.coyote = 0;
+    this.jumpBuffer = 0;
+    this.dashTime = 0;
+    this.airJumped = false;
+    this.dashed = false;
+    this.dropTime = 0;
+    this.platform = undefined;
+    this.jumping = true;
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.x = this.xOld = x;
+    this.y = this.yOld = y;
+    this.state.reset("fall");
+  }
+
+  /**
+   * Moves the player's state machine on and shows the animation bound to the state it is in.
+   */
+  updateState() {
+    this.state.update();
+
+    let state = this.state.getState(this.state.name);
+    let animation = state.animation;
+    let facing = state.facing ? state.facing(this) : this.directionX;
+
+    this.changeFrameSet(
+      this.frameSets[
+        animation.frameSet || (facing < 0 ? animation.left : animation.right)
+      ],
+      animation.mode,
+      animation.delay
+    );
+
+    this.animate();
   }
 }
 
@@ -820,6 +2079,25 @@ export class TileSet {
       [112, 115, 16, 4],
       [112, 124, 16, 4],
       [112, 119, 16, 4],
+      [0, 128, 12, 9],
+      [16, 128, 12, 9],
+      [32, 128, 12, 8],
+      [48, 128, 12, 9, 0, -1],
+      [64, 128, 14, 7],
+      [80, 128, 14, 8],
+      [0, 160, 16, 13, 0, -1],
+      [16, 160, 13, 16, 0, -2],
+      [32, 160, 16, 13, 0, -1],
+      [48, 160, 16, 13, 0, -1],
+      [64, 160, 13, 16, 0, -2],
+      [80, 160, 16, 13, 0, -1],
+      [96, 160, 16, 16, 2, -4],
+      [112, 160, 16, 16, -1, -4],
+      [0, 176, 13, 16, -3, -4],
+      [16, 176, 13, 16, 3, -4],
+      [32, 176, 12, 12],
+      [48, 176, 12, 12],
+      [64, 176, 12, 12],
     ].map((args) => new Frame(...args));
   }
 }
@@ -832,12 +2110,16 @@ export class World {
    * Creates a new world object.
    * @param {number} friction - The friction value of the world.
    * @param {number} gravity - The gravity value of the world.
+   * @param {Random} [random] - The generator for everything random in the world.
    */
-  constructor(friction = 0.85, gravity = 2) {
+  constructor(friction = 0.85, gravity = 2, random = new Random()) {
     this.collider = new Collider();
+    this.random = random;
 
     this.friction = friction;
     this.gravity = gravity;
+    this.defaultFriction = friction; // used by zones that don't set their own.
+    this.defaultGravity = gravity;
 
     this.columns = 12;
     this.rows = 9;
@@ -848,19 +2130,86 @@ export class World {
     this.zoneId = "00";
 
     this.carrots = []; // the array of carrots in this zone;
-    this.carrotCount = 0; // the number of carrots you have.
+    this.collection = new Collection(); // the carrots you have collected in every zone.
+    this.checkpoints = []; // the array of checkpoints in this zone.
+    this.checkpoint = undefined; // the last checkpoint reached in this zone.
+    this.enemies = []; // the array of enemies in this zone.
+    this.platforms = []; // the array of moving platforms in this zone.
+    this.volumes = []; // the array of water, ice and wind volumes in this zone.
+    this.pickups = []; // the array of ability pickups in this zone.
+    this.maxLives = 3; // the number of lives you start with.
+    this.lives = this.maxLives; // the number of lives you have left.
+    this.time = 0; // the number of updates played, kept across zones and saved with the game.
     this.doors = [];
     this.door = undefined;
 
+    this.zone = undefined; // the zone data the world was set up with.
+    this.entryX = this.player.x; // where the player entered the zone.
+    this.entryY = this.player.y;
+    this.entryCollected = []; // the ids of the carrots of this zone collected before you entered it.
+
     this.height = this.tileSet.tileSize * this.rows;
     this.width = this.tileSet.tileSize * this.columns;
   }
 
   /**
    * Collides an object with the collision map of the world.
-   * @param {GameObject} object - The object to collide.
+   * The move since the last update is replayed in steps of at most half a tile, X before Y,
+   * so fast objects can't pass through thin platforms or cut across corners.
+   * @param {MovingObject} object - The object to collide.
    */
   collideObject(object) {
+    object.wallDirection = 0;
+
+    let startX = object.xOld;
+    let startY = object.yOld;
+    let distanceX = object.x - startX;
+    let distanceY = object.y - startY;
+    let steps = Math.max(
+      1,
+      Math.ceil(
+        Math.max(Math.abs(distanceX), Math.abs(distanceY)) /
+          (this.tileSet.tileSize * 0.5)
+      )
+    );
+    let stepX = distanceX / steps;
+    let stepY = distanceY / steps;
+
+    object.x = startX;
+    object.y = startY;
+
+    for (let index = 0; index < steps; index++) {
+      let x = object.x + stepX;
+      let y;
+
+      object.xOld = object.x;
+      object.yOld = object.y;
+      object.x = x;
+      this.collideTiles(object);
+
+      /* A side was hit, so the rest of the move along X is blocked. */
+      if (object.x != x) stepX = 0;
+
+      y = object.y + stepY;
+
+      object.xOld = object.x;
+      object.yOld = object.y;
+      object.y = y;
+      this.collideTiles(object);
+      this.collideSlope(object);
+
+      if (object.y != y) stepY = 0;
+    }
+
+    object.xOld = startX;
+    object.yOld = startY;
+  }
+
+  /**
+   * Collides an object with the four tiles under its corners.
+   * @param {MovingObject} object - The object to collide.
+   */
+  collideTiles(object) {
     let bottom, left, right, top, value;
 
     top = Math.floor(object.getTop() / this.tileSet.tileSize);
@@ -908,25 +2257,110 @@ export class World {
     );
   }
 
+  /**
+   * Collides an object with the slope under its horizontal center.
+   * Objects on the ground also look one tile down, to find a slope they are walking down onto.
+   * @param {MovingObject} object - The object to collide.
+   */
+  collideSlope(object) {
+    let bottom, left, value;
+
+    bottom = Math.floor(object.getBottom() / this.tileSet.tileSize);
+    left = Math.floor(object.getCenterX() / this.tileSet.tileSize);
+    value = this.collisionMap[bottom * this.columns + left];
+
+    if (!this.collider.isSlope(value) && !object.jumping) {
+      bottom++;
+      value = this.collisionMap[bottom * this.columns + left];
+    }
+
+    if (this.collider.isSlope(value)) {
+      this.collider.collideSlope(
+        value,
+        object,
+        left * this.tileSet.tileSize,
+        bottom * this.tileSet.tileSize,
+        this.tileSet.tileSize
+      );
+    }
+  }
+
   /**
    * Sets up the world with the specified zone.
    * @param {Zone} zone - The zone to set up the world with.
    */
   setup(zone) {
+    let checkpoints = zone.checkpoints || [];
+    let enemies = zone.enemies || [];
+    let platforms = zone.platforms || [];
+    let volumes = zone.volumes || [];
+    let pickups = zone.pickups || [];
+
     this.carrots = new Array();
+    this.checkpoints = new Array();
+    this.checkpoint = undefined;
     this.doors = new Array();
+    this.enemies = new Array();
+    this.platforms = new Array();
+    this.volumes = new Array();
+    this.pickups = new Array();
     this.grass = new Array();
     this.collisionMap = zone.collisionMap;
     this.graphicalMap = zone.graphicalMap;
     this.columns = zone.columns;
     this.rows = zone.rows;
+    this.zone = zone;
     this.zoneId = zone.id;
 
+    this.height = this.tileSet.tileSize * this.rows;
+    this.width = this.tileSet.tileSize * this.columns;
+
+    let physics = Object.assign(
+      {
+        friction: this.defaultFriction,
+        gravity: this.defaultGravity,
+        jumpImpulse: Player.JUMP_IMPULSE,
+        swimImpulse: Player.SWIM_IMPULSE,
+        acceleration: Player.ACCELERATION,
+        coyoteTime: Player.COYOTE_TIME,
+        jumpBufferTime: Player.JUMP_BUFFER_TIME,
+        jumpCut: Player.JUMP_CUT,
+      },
+      zone.physics
+    );
+
+    this.friction = physics.friction;
+    this.gravity = physics.gravity;
+    this.player.jumpImpulse = physics.jumpImpulse;
+    this.player.swimImpulse = physics.swimImpulse;
+    this.player.acceleration = physics.acceleration;
+    this.player.coyoteTime = physics.coyoteTime;
+    this.player.jumpBufferTime = physics.jumpBufferTime;
+    this.player.jumpCut = physics.jumpCut;
+
     for (let index = zone.carrots.length - 1; index > -1; --index) {
       let carrot = zone.carrots[index];
-      this.carrots[index] = new Carrot(
-        carrot[0] * this.tileSet.tileSize + 5,
-        carrot[1] * this.tileSet.tileSize - 2
+
+      /* Collected carrots are gone for good, so they can't be collected twice. */
+      if (this.collection.has(zone.id, carrot[2])) continue;
+
+      this.carrots.push(
+        new Carrot(
+          carrot[0] * this.tileSet.tileSize + 5,
+          carrot[1] * this.tileSet.tileSize - 2,
+          this.random,
+          carrot[2]
+        )
+      );
+    }
+
+    for (let index = checkpoints.length - 1; index > -1; --index) {
+      let checkpoint = checkpoints[index];
+      this.checkpoints[index] = new GameObject(
+        checkpoint[0] * this.tileSet.tileSize,
+        checkpoint[1] * this.tileSet.tileSize,
+        this.tileSet.tileSize,
+        this.tileSet.tileSize
       );
     }
 
@@ -935,6 +2369,40 @@ export class World {
       this.doors[index] = new Door(door);
     }
 
+    for (let index = enemies.length - 1; index > -1; --index) {
+      this.enemies[index] = Enemy.create(
+        enemies[index],
+        this.tileSet.tileSize,
+        this.random
+      );
+    }
+
+    for (let index = platforms.length - 1; index > -1; --index) {
+      this.platforms[index] = new MovingPlatform(
+        platforms[index],
+        this.tileSet.tileSize
+      );
+    }
+
+    this.player.platform = undefined;
+
+    /* Abilities are kept for good, so their pickups don't come back. */
+    pickups.forEach((pickup) => {
+      if (this.player.abilities.has(pickup.ability)) return;
+
+      this.pickups.push(
+        new Pickup(
+          pickup.column * this.tileSet.tileSize + 2,
+          pickup.row * this.tileSet.tileSize + 2,
+          pickup.ability
+        )
+      );
+    });
+
+    for (let index = volumes.length - 1; index > -1; --index) {
+      this.volumes[index] = new Volume(volumes[index], this.tileSet.tileSize);
+    }
+
     for (let index = zone.grass.length - 1; index > -1; --index) {
       let grass = zone.grass[index];
       this.grass[index] = new Grass(
@@ -956,15 +2424,210 @@ export class World {
 
       this.door = undefined;
     }
+
+    this.entryX = this.player.x;
+    this.entryY = this.player.y;
+    this.entryCollected = this.collection.list(zone.id);
+  }
+
+  /**
+   * Forgets the progress of a game: collected carrots, abilities, lost lives and time played. Set up a zone afterwards.
+   */
+  resetProgress() {
+    this.collection.clear();
+    this.player.abilities.clear();
+    this.lives = this.maxLives;
+    this.time = 0;
+  }
+
+  /**
+   * Restarts the current zone with the player back where they entered it,
+   * without the carrots they collected in it since.
+   */
+  restart() {
+    this.player.respawn(this.entryX, this.entryY);
+    this.collection.set(this.zone.id, this.entryCollected);
+
+    this.setup(this.zone);
+  }
+
+  /**
+   * Starts a zone from its spawn tile rather than through a door, e.g. for a new game or the level select.
+   * Zones without a spawn tile keep the player where they are.
+   * @param {Zone} zone - The zone to start.
+   */
+  start(zone) {
+    let tileSize = this.tileSet.tileSize;
+
+    if (zone.spawn) {
+      this.player.respawn(
+        zone.spawn[0] * tileSize + (tileSize - this.player.width) * 0.5,
+        (zone.spawn[1] + 1) * tileSize - this.player.height - 0.01
+      );
+    }
+
+    this.door = undefined;
+    this.setup(zone);
+  }
+
+  /**
+   * Checks if an object touches a hazard tile.
+   * @param {GameObject} object - The object to check.
+   * @returns {boolean} - True if any corner of the object is inside a hazard tile, false otherwise.
+   */
+  isInHazard(object) {
+    let tileSize = this.tileSet.tileSize;
+    let left = Math.floor((object.getLeft() + 1) / tileSize);
+    let right = Math.floor((object.getRight() - 1) / tileSize);
+    let top = Math.floor(object.getTop() / tileSize);
+    let bottom = Math.floor(object.getBottom() / tileSize);
+
+    return [
+      [left, top],
+      [right, top],
+      [left, bottom],
+      [right, bottom],
+    ].some(
+      ([column, row]) =>
+        column >= 0 &&
+        column < this.columns &&
+        row >= 0 &&
+        row < this.rows &&
+        this.collider.isHazard(this.collisionMap[row * this.columns + column])
+    );
+  }
+
+  /**
+   * Checks if a point is on a tile objects can stand on.
+   * @param {number} x - The x-coordinate of the point.
+   * @param {number} y - The y-coordinate of the point.
+   * @returns {boolean} - True if the tile under the point has a top side, false otherwise.
+   */
+  isFloorAt(x, y) {
+    let column = Math.floor(x / this.tileSet.tileSize);
+    let row = Math.floor(y / this.tileSet.tileSize);
+
+    if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) {
+      return false;
+    }
+
+    let value = this.collisionMap[row * this.columns + column];
+
+    return (
+      value == Collider.ONE_WAY ||
+      this.collider.isSlope(value) ||
+      (!this.collider.isHazard(value) && (value & 1) == 1)
+    );
+  }
+
+  /**
+   * Kills the player and takes a life.
+   */
+  kill() {
+    this.lives--;
+    this.player.die(this.lives <= 0);
+  }
+
+  /**
+   * Respawns the player at the last checkpoint, or where they entered the zone.
+   * Without lives left, the game is over and the zone starts again with full lives.
+   */
+  respawn() {
+    if (this.lives <= 0) {
+      this.lives = this.maxLives;
+      this.restart();
+      return;
+    }
+
+    if (this.checkpoint) {
+      this.player.respawn(
+        this.checkpoint.getCenterX() - this.player.width * 0.5,
+        this.checkpoint.getBottom() - this.player.height - 0.01
+      );
+    } else {
+      this.player.respawn(this.entryX, this.entryY);
+    }
   }
 
   /**
    * Updates the world state.
    */
   update() {
-    this.player.updatePosition(this.gravity, this.friction);
+    this.time++;
+
+    for (let index = this.platforms.length - 1; index > -1; --index) {
+      this.platforms[index].updatePosition();
+    }
+
+    /* Carry the player along with the platform they stood on, old position included,
+    so the old-position checks see them still standing on it. */
+    if (this.player.platform) {
+      this.player.x += this.player.platform.velocityX;
+      this.player.y += this.player.platform.velocityY;
+    }
+
+    let gravity = this.gravity;
+    let friction = this.friction;
+
+    this.player.swimming = false;
+
+    for (let index = this.volumes.length - 1; index > -1; --index) {
+      let volume = this.volumes[index];
+
+      if (this.player.dead || !volume.collideObjectCenter(this.player)) {
+        continue;
+      }
+
+      if (volume.gravity !== undefined) gravity = volume.gravity;
+      if (volume.friction !== undefined) friction = volume.friction;
+
+      this.player.velocityX += volume.forceX;
+      this.player.velocityY =
+        this.player.velocityY * volume.drag + volume.forceY;
+      this.player.swimming = this.player.swimming || volume.swim;
+    }
+
+    /* A dash holds the player's speed and ignores gravity until it ends. */
+    if (this.player.dashTime > 0) {
+      this.player.dashTime--;
+      this.player.velocityY = 0;
+      gravity = 0;
+      friction = 1;
+    }
+
+    this.player.updatePosition(gravity, friction);
+
+    if (this.player.dropTime > 0) this.player.dropTime--;
 
-    this.collideObject(this.player);
+    if (this.player.dead) {
+      if (--this.player.deathTime <= 0) this.respawn();
+    } else {
+      this.collideObject(this.player);
+
+      this.player.platform = this.platforms.find((platform) =>
+        platform.collideTop(this.player, this.collider)
+      );
+
+      if (this.player.isOnGround()) {
+        this.player.airJumped = false;
+        this.player.dashed = false;
+        this.player.coyote = this.player.coyoteTime;
+      } else if (this.player.coyote > 0) {
+        this.player.coyote--;
+      }
+
+      if (this.player.isWallSliding()) {
+        this.player.velocityY = Math.min(
+          this.player.velocityY,
+          Player.WALL_SLIDE_SPEED
+        );
+      }
+
+      /* Falling out of the bottom of the zone is as deadly as a hazard. */
+      if (this.isInHazard(this.player) || this.player.getTop() > this.height) {
+        this.kill();
+      }
+    }
 
     for (let index = this.carrots.length - 1; index > -1; --index) {
       let carrot = this.carrots[index];
@@ -972,26 +2635,71 @@ export class World {
       carrot.updatePosition();
       carrot.animate();
 
-      if (carrot.collideObject(this.player)) {
-        this.carrots.splice(this.carrots.indexOf(carrot), 1);
-        this.carrotCount++;
+      if (
+        !this.player.dead &&
+        !carrot.collected &&
+        carrot.collideObject(this.player)
+      ) {
+        carrot.collect(() =>
+          this.carrots.splice(this.carrots.indexOf(carrot), 1)
+        );
+        this.collection.add(this.zoneId, carrot.id);
+      }
+    }
+
+    for (let index = this.pickups.length - 1; index > -1; --index) {
+      let pickup = this.pickups[index];
+
+      pickup.updatePosition();
+
+      if (!this.player.dead && pickup.collideObject(this.player)) {
+        this.pickups.splice(index, 1);
+        this.player.abilities.add(pickup.ability);
+      }
+    }
+
+    for (let index = this.enemies.length - 1; index > -1; --index) {
+      let enemy = this.enemies[index];
+
+      enemy.update(this);
+
+      if (this.player.dead || !enemy.collideObject(this.player)) continue;
+
+      if (enemy.isStompedBy(this.player)) {
+        this.enemies.splice(index, 1);
+        this.player.velocityY = -8;
+        this.player.jumping = true;
+      } else {
+        this.kill();
       }
     }
 
     for (let index = this.doors.length - 1; index > -1; --index) {
       let door = this.doors[index];
 
-      if (door.collideObjectCenter(this.player)) {
+      if (
+        !this.player.dead &&
+        !door.disabled &&
+        door.collideObjectCenter(this.player)
+      ) {
         this.door = door;
       }
     }
 
+    for (let index = this.checkpoints.length - 1; index > -1; --index) {
+      let checkpoint = this.checkpoints[index];
+
+      if (!this.player.dead && checkpoint.collideObjectCenter(this.player)) {
+        this.checkpoint = checkpoint;
+      }
+    }
+
     for (let index = this.grass.length - 1; index > -1; --index) {
       let grass = this.grass[index];
 
       grass.animate();
     }
 
-    this.player.updateAnimation();
+    this.player.updateState();
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Hud class for the layer drawn over the world: carrots, lives, time played and the name of the zone.
+ * It is drawn in screen coordinates, so it stays in place while the camera moves.
+ */
+export class Hud {
+  /**
+   * Constructor for the Hud class.
+   * @param {BitmapFont} font - The font the HUD is written in.
+   * @param {number} [margin=2] - The space between the text and the edges of the screen.
+   */
+  constructor(font, margin = 2) {
+    /**
+     * The font the HUD is written in.
+     * @type {BitmapFont}
+     */
+    this.font = font;
+
+    /**
+     * The space between the text and the edges of the screen.
+     * @type {number}
+     */
+    this.margin = margin;
+  }
+
+  /**
+   * Formats a duration as minutes and seconds.
+   * @param {number} seconds - The duration in seconds.
+   * @returns {string} - The duration, e.g. "1:05".
+   */
+  static formatTime(seconds) {
+    let minutes = Math.floor(seconds / 60);
+    let rest = Math.floor(seconds % 60);
+
+    return minutes + ":" + (rest < 10 ? "0" : "") + rest;
+  }
+
+  /**
+   * Draws the HUD. The display's offset is reset, so draw the world first.
+   * @param {Display} display - The display to draw on.
+   * @param {HTMLImageElement} image - The font image.
+   * @param {World} world - The world whose state is shown.
+   * @param {ZoneRegistry} zones - The zones, to count the carrots there are.
+   * @param {number} seconds - The time played, in seconds.
+   */
+  draw(display, image, world, zones, seconds) {
+    let font = this.font;
+    let width = display.buffer.canvas.width;
+    let top = this.margin;
+    let bottom = top + font.lineHeight;
+
+    display.setOffset(0, 0);
+
+    font.draw(
+      display,
+      image,
+      "Carrots " +
+        world.collection.count(world.zoneId) +
+        "/" +
+        zones.countCarrots(world.zoneId),
+      this.margin,
+      top
+    );
+    font.draw(
+      display,
+      image,
+      "Total " + world.collection.count() + "/" + zones.countCarrots(),
+      this.margin,
+      bottom
+    );
+    font.draw(
+      display,
+      image,
+      world.zone.name || "Zone " + world.zoneId,
+      Math.floor(width * 0.5),
+      top,
+      "center"
+    );
+    font.draw(
+      display,
+      image,
+      "Lives " + world.lives,
+      width - this.margin,
+      top,
+      "right"
+    );
+    font.draw(
+      display,
+      image,
+      Hud.formatTime(seconds),
+      width - this.margin,
+      bottom,
+      "right"
+    );
+  }
+}
@@ -1,8 +1,21 @@
-import { Controller } from "./controller";
-import { Display } from "./display";
-import { Engine } from "./engine";
-import { World } from "./game";
-import { tileSetImg, zone00 } from "./assets";
+import { Camera } from "./camera.js";
+import { KeyBindings } from "./bindings.js";
+import { BindingsMenu, LevelMenu, PauseMenu, StartMenu } from "./menu.js";
+import { Controller } from "./controller.js";
+import { Display } from "./display.js";
+import { Engine } from "./engine.js";
+import { BitmapFont } from "./font.js";
+import { Player, World } from "./game.js";
+import { Hud } from "./hud.js";
+import { Random } from "./random.js";
+import { Replay } from "./replay.js";
+import { SaveGame } from "./save.js";
+import { SceneManager } from "./scene.js";
+import { Simulation } from "./simulation.js";
+import { Sounds } from "./sound.js";
+import { TouchControls } from "./touch.js";
+import { checkpointImg, fontImg, tileSetImg } from "./assets.js";
+import { zones } from "./zone.js";
 
 /**
  * Event listener function that initializes the game when the window loads.
@@ -10,9 +23,16 @@ import { tileSetImg, zone00 } from "./assets";
  * @param {Event} event - The window load event.
  */
 window.addEventListener("load", function (event) {
-  const ZONE_PREFIX = "./assets/zone";
-  const ZONE_SUFFIX = ".json";
+  const REPLAY_HASH = "#replay=";
+  const REPLAY_KEY = "F9";
+  const DEBUG_KEY = "F2";
+  const BENCHMARK_HASH = "#benchmark";
+  const TRANSITION_TIME = 16;
+  const CREDITS =
+    "Rabbit Trap by Juan Sebastian Montoya, adapted from the course by Frank Poth.";
   let tileSetImage;
+  let checkpointImage;
+  let fontImage;
 
   /**
    * Event listener function for keydown and keyup events.
@@ -20,7 +40,66 @@ window.addEventListener("load", function (event) {
    * @param {KeyboardEvent} event - The keyboard event.
    */
   var keyDownUp = function (event) {
-    controller.keyDownUp(event.type, event.keyCode);
+    if (event.type == "keydown" && event.code == REPLAY_KEY) {
+      downloadReplay();
+      return;
+    }
+
+    if (event.type == "keydown" && event.code == DEBUG_KEY) {
+      event.preventDefault();
+      debug.style.display = debug.style.display == "none" ? "block" : "none";
+      return;
+    }
+
+    if (controller.keyDownUp(event.type, event.code)) {
+      event.preventDefault();
+      touchControls.hide();
+    }
+  };
+
+  /**
+   * Saves the run recorded so far as a replay file, e.g. to attach to a bug report.
+   * Nothing is recorded before the game starts.
+   */
+  var downloadReplay = function () {
+    if (!recording) {
+      return;
+    }
+
+    var link = document.createElement("a");
+
+    link.download = "rabbit-trap-replay.json";
+    link.href = URL.createObjectURL(
+      new Blob([recording.serialize()], { type: "application/json" })
+    );
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  /**
+   * Reads the replay to play back from the page's hash, if there is one.
+   *
+   * @returns {Replay|undefined} The replay, or undefined if there is none or it is invalid.
+   */
+  var readReplay = function () {
+    if (!window.location.hash.startsWith(REPLAY_HASH)) {
+      return undefined;
+    }
+
+    try {
+      var replay = Replay.parse(
+        decodeURIComponent(window.location.hash.slice(REPLAY_HASH.length))
+      );
+
+      if (!zones.has(replay.zoneId)) {
+        throw new Error('Zone "' + replay.zoneId + '" is not registered.');
+      }
+
+      return replay;
+    } catch (error) {
+      console.error("Invalid replay: " + error.message);
+      return undefined;
+    }
   };
 
   /**
@@ -32,24 +111,32 @@ window.addEventListener("load", function (event) {
     display.resize(
       document.documentElement.clientWidth,
       document.documentElement.clientHeight,
-      world.height / world.width
+      camera.height / camera.width
     );
     display.render();
 
     var rectangle = display.context.canvas.getBoundingClientRect();
 
-    p.style.left = rectangle.left + "px";
-    p.style.top = rectangle.top + "px";
-    p.style.fontSize =
-      (world.tileSet.tileSize * rectangle.height) / world.height + "px";
+    debug.style.left = rectangle.left + "px";
+    debug.style.bottom =
+      document.documentElement.clientHeight - rectangle.bottom + "px";
+
+    touchControls.resize(rectangle);
   };
 
   /**
-   * Renders the game.
+   * Draws the world, moving objects between their last two updates.
+   *
+   * @param {number} alpha - How far the frame is between the previous and the last update.
    */
-  var render = function () {
+  var drawWorld = function (alpha) {
     var frame = undefined;
 
+    display.setOffset(
+      camera.getInterpolatedX(alpha),
+      camera.getInterpolatedY(alpha)
+    );
+
     display.drawMap(
       tileSetImage,
       world.tileSet.columns,
@@ -58,6 +145,35 @@ window.addEventListener("load", function (event) {
       world.tileSet.tileSize
     );
 
+    for (let index = world.volumes.length - 1; index > -1; --index) {
+      let volume = world.volumes[index];
+
+      if (volume.color) {
+        display.drawRectangle(
+          volume.x,
+          volume.y,
+          volume.width,
+          volume.height,
+          volume.color
+        );
+      }
+    }
+
+    for (let index = world.checkpoints.length - 1; index > -1; --index) {
+      let checkpoint = world.checkpoints[index];
+      let size = world.tileSet.tileSize;
+
+      display.drawObject(
+        checkpointImage,
+        checkpoint == world.checkpoint ? size : 0,
+        0,
+        checkpoint.x,
+        checkpoint.y,
+        size,
+        size
+      );
+    }
+
     for (let index = world.carrots.length - 1; index > -1; --index) {
       let carrot = world.carrots[index];
 
@@ -67,10 +183,61 @@ window.addEventListener("load", function (event) {
         tileSetImage,
         frame.x,
         frame.y,
-        carrot.x +
+        carrot.getInterpolatedX(alpha) +
           Math.floor(carrot.width * 0.5 - frame.width * 0.5) +
           frame.offsetX,
-        carrot.y + frame.offsetY,
+        carrot.getInterpolatedY(alpha) + frame.offsetY,
+        frame.width,
+        frame.height
+      );
+    }
+
+    for (let index = world.pickups.length - 1; index > -1; --index) {
+      let pickup = world.pickups[index];
+
+      frame = world.tileSet.frames[pickup.frameValue];
+
+      display.drawObject(
+        tileSetImage,
+        frame.x,
+        frame.y,
+        pickup.getInterpolatedX(alpha) + frame.offsetX,
+        pickup.getInterpolatedY(alpha) + frame.offsetY,
+        frame.width,
+        frame.height
+      );
+    }
+
+    for (let index = world.platforms.length - 1; index > -1; --index) {
+      let platform = world.platforms[index];
+      let tileSize = world.tileSet.tileSize;
+
+      for (let column = 0; column * tileSize < platform.width; column++) {
+        display.drawObject(
+          tileSetImage,
+          (platform.tile % world.tileSet.columns) * tileSize,
+          Math.floor(platform.tile / world.tileSet.columns) * tileSize,
+          platform.getInterpolatedX(alpha) + column * tileSize,
+          platform.getInterpolatedY(alpha),
+          tileSize,
+          tileSize
+        );
+      }
+    }
+
+    for (let index = world.enemies.length - 1; index > -1; --index) {
+      let enemy = world.enemies[index];
+
+      frame = world.tileSet.frames[enemy.frameValue];
+
+      display.drawObject(
+        tileSetImage,
+        frame.x,
+        frame.y,
+        enemy.getInterpolatedX(alpha) +
+          Math.floor(enemy.width * 0.5 - frame.width * 0.5) +
+          frame.offsetX,
+        enemy.getInterpolatedY(alpha) + frame.offsetY,
         frame.width,
         frame.height
       );
@@ -82,10 +249,10 @@ window.addEventListener("load", function (event) {
       tileSetImage,
       frame.x,
       frame.y,
-      world.player.x +
+      world.player.getInterpolatedX(alpha) +
         Math.floor(world.player.width * 0.5 - frame.width * 0.5) +
         frame.offsetX,
-      world.player.y + frame.offsetY,
+      world.player.getInterpolatedY(alpha) + frame.offsetY,
       frame.width,
       frame.height
     );
@@ -105,66 +272,475 @@ window.addEventListener("load", function (event) {
         frame.height
       );
     }
+  };
 
-    p.innerHTML = "Carrots: " + world.carrotCount;
+  /**
+   * Draws a dark veil over the whole screen, e.g. to write on it.
+   */
+  var drawVeil = function () {
+    display.setOffset(0, 0);
+    display.drawRectangle(
+      0,
+      0,
+      display.buffer.canvas.width,
+      display.buffer.canvas.height,
+      "rgba(0, 0, 0, 0.75)"
+    );
+  };
 
+  /**
+   * Renders the scenes shown, then puts the frame on the canvas.
+   *
+   * @param {DOMHighResTimeStamp} timeStamp - The current timestamp in milliseconds.
+   * @param {number} alpha - How far the frame is between the previous and the last update.
+   */
+  var render = function (timeStamp, alpha) {
+    scenes.render(timeStamp, alpha);
     display.render();
   };
 
   /**
-   * Updates the game state.
+   * Reads the gamepads. Touch controls are hidden once a gamepad is used.
    */
-  var update = function () {
-    if (controller.left.active) {
-      world.player.moveLeft();
-    }
-    if (controller.right.active) {
-      world.player.moveRight();
+  var pollGamepads = function () {
+    if (navigator.getGamepads) {
+      controller.pollGamepads(navigator.getGamepads());
+
+      if (controller.pads.size) {
+        touchControls.hide();
+      }
     }
-    if (controller.up.active) {
-      world.player.jump();
-      controller.up.active = false;
+  };
+
+  /**
+   * Pauses the game when the page is hidden or loses focus.
+   * Keys let go of meanwhile never send a keyup, so every button is released.
+   *
+   * @param {Event} event - The blur or visibilitychange event.
+   */
+  var autoPause = function (event) {
+    if (document.hidden || event.type == "blur") {
+      controller.releaseAll();
+
+      if (scenes.has("play") && !scenes.has("pause")) {
+        scenes.push("pause");
+      }
     }
+  };
 
-    world.update();
+  /**
+   * Updates the scene on top.
+   */
+  var update = function () {
+    pollGamepads();
+    scenes.update();
+  };
 
-    if (world.door) {
-      engine.stop();
+  /**
+   * Saves the game in the slot it was started in while it is being played.
+   * Replays and benchmarks are not saved.
+   */
+  var saveGame = function () {
+    if (slot != -1 && scenes.has("play")) {
+      SaveGame.capture(world).save(slot);
+    }
+  };
 
-      import(ZONE_PREFIX + world.door.destinationZone + ZONE_SUFFIX).then(
-        (zone) => {
-          world.setup(zone);
+  /**
+   * Fits the camera to the current zone and centers it on the player.
+   */
+  var focus = function () {
+    camera.setBounds(world.width, world.height);
+    camera.center(world.player);
+  };
+
+  /**
+   * The title screen, where a save slot is picked. The zone last played is drawn behind it.
+   *
+   * @type {Scene}
+   */
+  var titleScene = {
+    enter: function () {
+      this.menu = new StartMenu(SaveGame.list(), function (startSlot, save) {
+        slot = startSlot;
+        world.resetProgress();
 
-          engine.start();
+        if (save) {
+          scenes.change("levels", save);
+        } else {
+          scenes.change("play", "00");
         }
+      });
+    },
+    exit: function () {
+      this.menu.remove();
+    },
+    render: function (timeStamp, alpha) {
+      drawWorld(1);
+    },
+  };
+
+  /**
+   * The level select of a saved game, where the game is continued or a zone is picked.
+   *
+   * @type {Scene}
+   */
+  var levelsScene = {
+    /**
+     * @param {SaveGame} save - The game to continue.
+     */
+    enter: function (save) {
+      try {
+        save.apply(world, zones);
+      } catch (error) {
+        console.error("Could not continue the saved game: " + error.message);
+      }
+
+      focus();
+
+      this.menu = new LevelMenu(zones, world.collection, {
+        resume: function () {
+          scenes.change("play");
+        },
+        select: function (zoneId) {
+          scenes.change("play", zoneId);
+        },
+        back: function () {
+          scenes.change("title");
+        },
+      });
+    },
+    exit: function () {
+      this.menu.remove();
+    },
+    render: function (timeStamp, alpha) {
+      drawWorld(1);
+    },
+  };
+
+  /**
+   * The game itself. The world is saved whenever a zone is loaded and when the scene is left.
+   *
+   * @type {Scene}
+   */
+  var playScene = {
+    /**
+     * @param {string} [zoneId] - The zone to start from its spawn tile, or undefined to play on where the world is.
+     * A replay being played back starts from where it was recorded instead.
+     */
+    enter: function (zoneId) {
+      /* Buttons pressed in the menus, e.g. pause, would otherwise take effect on the first update. */
+      controller.releaseAll();
+      world.random.reset();
+      simulation.tick = 0;
+      simulation.upHeld = false;
+
+      if (playback) {
+        playback.setup(simulation, zones);
+      } else if (zoneId) {
+        world.start(zones.get(zoneId));
+      } else {
+        world.restart();
+      }
+
+      /* A game that already has every carrot does not end again. */
+      this.complete = world.collection.count() == zones.countCarrots();
+
+      /* The recording keeps the progress the run starts with, so continued games play back too. */
+      recording = Replay.capture(simulation);
+
+      focus();
+      resize();
+
+      if (window.location.hash == BENCHMARK_HASH) {
+        console.table(
+          display.benchmarkMap(
+            tileSetImage,
+            world.tileSet.columns,
+            world.graphicalMap,
+            world.columns,
+            world.tileSet.tileSize
+          )
+        );
+      }
+
+      scenes.push("transition", { type: "fade" });
+    },
+    exit: function () {
+      saveGame();
+
+      /* A replay is played back once, the next game is the player's. */
+      playback = undefined;
+    },
+    update: function () {
+      if (controller.pause.active) {
+        controller.pause.active = false;
+        scenes.push("pause");
+        return;
+      }
+
+      if (playback && !playback.apply(simulation.tick, controller)) {
+        playback = undefined;
+
+        /* The buttons of the last frame would otherwise stay held. */
+        controller.releaseAll();
+      }
+
+      recording.record(controller);
+
+      var fromX = world.player.getCenterX() - camera.x;
+      var fromY = world.player.getCenterY() - camera.y;
+
+      if (simulation.step()) {
+        var door = simulation.door;
+        var direction = door
+          ? door.getDirection(world.width, world.height)
+          : [0, 0];
+
+        focus();
+        saveGame();
+
+        /* Restarting closes in on where the player was and opens where they start again. */
+        scenes.push("transition", {
+          type: door ? door.transition : "iris",
+          fromX: fromX,
+          fromY: fromY,
+          toX: world.player.getCenterX() - camera.x,
+          toY: world.player.getCenterY() - camera.y,
+          directionX: direction[0],
+          directionY: direction[1],
+        });
+      } else {
+        camera.follow(world.player);
+      }
+
+      if (!this.complete && world.collection.count() == zones.countCarrots()) {
+        scenes.change("credits", (world.time * engine.timeStep) / 1000);
+      }
+    },
+    render: function (timeStamp, alpha) {
+      /* Under an overlay the world no longer moves, so it is drawn where it stopped. */
+      drawWorld(scenes.getCurrent() == "play" ? alpha : 1);
+
+      hud.draw(
+        display,
+        fontImage,
+        world,
+        zones,
+        (world.time * engine.timeStep) / 1000
       );
 
-      return;
-    }
+      if (debug.style.display != "none") {
+        debug.innerHTML =
+          "State: " +
+          world.player.state.name +
+          " (" +
+          world.player.state.time +
+          ") from " +
+          world.player.state.previous;
+      }
+    },
   };
 
-  var controller = new Controller();
+  /**
+   * The pause menu, shown over the game, which is drawn but no longer updated.
+   *
+   * @type {Scene}
+   */
+  var pauseScene = {
+    enter: function () {
+      pauseMenu.show();
+    },
+    exit: function () {
+      pauseMenu.hide();
+
+      /* Jump held through the menu, e.g. to pick a link, is not a new press. The press is dropped
+         on the controller, which replays record, so playback jumps exactly when the game did. */
+      controller.up.active = false;
+    },
+    update: function () {
+      if (controller.pause.active) {
+        controller.pause.active = false;
+        scenes.pop();
+      }
+    },
+  };
+
+  /**
+   * A transition from the last frame shown to the scene under it, which is drawn but not updated until it ends,
+   * so input is locked meanwhile.
+   *
+   * @type {Scene}
+   */
+  var transitionScene = {
+    /**
+     * @param {Object} options - The type of the transition and its options, see {@link Display#startTransition}.
+     */
+    enter: function (options) {
+      display.startTransition(options.type, TRANSITION_TIME, options);
+
+      /* The tiles of the new zone are baked while the old frame still covers the screen. */
+      display.bakeMap(
+        tileSetImage,
+        world.tileSet.columns,
+        world.graphicalMap,
+        world.columns,
+        world.tileSet.tileSize
+      );
+    },
+    exit: function () {
+      /* Presses made during the transition do not carry over, while held buttons keep the player moving. */
+      controller.pause.active = false;
+      controller.restart.active = false;
+      controller.dash.active = false;
+    },
+    update: function () {
+      if (!display.updateTransition()) {
+        scenes.pop();
+      }
+    },
+    render: function (timeStamp, alpha) {
+      display.drawTransition(alpha);
+    },
+  };
+
+  /**
+   * The end of the game once every carrot is collected. Jump goes back to the title screen.
+   *
+   * @type {Scene}
+   */
+  var creditsScene = {
+    /**
+     * @param {number} seconds - The time the game was finished in, in seconds.
+     */
+    enter: function (seconds) {
+      this.text =
+        "You found every carrot in " +
+        Hud.formatTime(seconds) +
+        "!\n\n" +
+        CREDITS +
+        "\n\nPress jump to return to the title.";
+
+      /* Jump may still be held from the last jump, so it has to be let go of first. */
+      this.released = false;
+    },
+    update: function () {
+      if (!controller.up.active) {
+        this.released = true;
+      } else if (this.released) {
+        scenes.change("title");
+      }
+    },
+    render: function (timeStamp, alpha) {
+      var width = display.buffer.canvas.width;
+
+      drawWorld(1);
+      drawVeil();
+
+      font.draw(
+        display,
+        fontImage,
+        this.text,
+        Math.floor(width * 0.5),
+        24,
+        "center",
+        width - 16
+      );
+    },
+  };
+
+  var bindings = new KeyBindings();
+  var controller = new Controller(bindings);
+  var menu = new BindingsMenu(controller);
+  var touchControls = new TouchControls(controller);
+  var slot = -1;
   var display = new Display(document.querySelector("canvas"));
-  var world = new World();
-  var engine = new Engine(1000 / 30, render, update);
+  var playback = readReplay();
+  var world = new World(
+    undefined,
+    undefined,
+    new Random(playback ? playback.seed : undefined)
+  );
+  var recording = undefined;
+  var simulation = new Simulation(world, controller, zones);
+  var sounds = new Sounds();
+  var camera = new Camera(world.width, world.height);
+  var engine = new Engine(1000 / 30, update, render);
+
+  var font = new BitmapFont();
+  var hud = new Hud(font);
+  var pauseMenu = new PauseMenu(sounds, {
+    resume: function () {
+      scenes.pop();
+    },
+    restart: function () {
+      controller.restart.active = true;
+      scenes.pop();
+    },
+    keys: function () {
+      menu.toggle();
+    },
+    quit: function () {
+      scenes.change("title");
+    },
+  });
+  var scenes = new SceneManager({
+    title: titleScene,
+    levels: levelsScene,
+    play: playScene,
+    pause: pauseScene,
+    transition: transitionScene,
+    credits: creditsScene,
+  });
 
-  var p = document.createElement("p");
-  p.setAttribute("style", "color:#c07000; font-size:2.0em; position:fixed;");
-  p.innerHTML = "Carrots: 0";
-  document.body.appendChild(p);
+  /* The debug overlay shows what the player is doing, e.g. to check state transitions. */
+  var debug = document.createElement("p");
+  debug.setAttribute(
+    "style",
+    "color:#ffffff; font-family:monospace; margin:0; position:fixed; display:none;"
+  );
+  document.body.appendChild(debug);
 
-  display.buffer.canvas.height = world.height;
-  display.buffer.canvas.width = world.width;
+  display.buffer.canvas.height = camera.height;
+  display.buffer.canvas.width = camera.width;
   display.buffer.imageSmoothingEnabled = false;
 
-  tileSetImg.getImage().then((img) => {
-    tileSetImage = img;
-    world.setup(zone00);
+  world.player.onFrame = function (frameValue) {
+    if (Player.FOOTSTEP_FRAMES.includes(frameValue)) {
+      sounds.play("footstep");
+    }
+  };
+
+  bindings.load();
+  sounds.load();
+  menu.refresh();
+
+  zones.validate().forEach((error) => console.error(error.message));
+
+  Promise.all([
+    tileSetImg.getImage(),
+    fontImg.getImage(),
+    checkpointImg.getImage(),
+  ]).then((images) => {
+    [tileSetImage, fontImage, checkpointImage] = images;
+
+    world.start(zones.get(playback ? playback.zoneId : "00"));
+    focus();
     resize();
+
+    if (playback || window.location.hash == BENCHMARK_HASH) {
+      scenes.change("play", world.zoneId);
+    } else {
+      scenes.change("title");
+    }
+
     engine.start();
   });
 
   window.addEventListener("keydown", keyDownUp);
   window.addEventListener("keyup", keyDownUp);
   window.addEventListener("resize", resize);
+  window.addEventListener("pagehide", saveGame);
+  window.addEventListener("blur", autoPause);
+  document.addEventListener("visibilitychange", autoPause);
 });
@@ -0,0 +1,597 @@
+import { KeyBindings } from "./bindings.js";
+import { Controller } from "./controller.js";
+import { SaveGame } from "./save.js";
+
+/**
+ * Creates a link that calls a function instead of following its href.
+ * @param {string} text - The text of the link.
+ * @param {Function} click - The function called when the link is clicked.
+ * @returns {HTMLAnchorElement} - The link.
+ */
+function createLink(text, click) {
+  var link = document.createElement("a");
+
+  link.href = "#";
+  link.innerHTML = text;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    click();
+  });
+
+  return link;
+}
+
+/**
+ * BindingsMenu class for the corner menu where players rebind their keys.
+ */
+export class BindingsMenu {
+  /**
+   * Constructor for the BindingsMenu class.
+   * @param {Controller} controller - The controller whose bindings are edited.
+   * @param {HTMLElement} [parent=document.body] - The element the menu is added to.
+   */
+  constructor(controller, parent = document.body) {
+    /**
+     * The controller whose bindings are edited.
+     * @type {Controller}
+     */
+    this.controller = controller;
+
+    /**
+     * The action waiting for a key to be bound, if any.
+     * @type {string|undefined}
+     */
+    this.action = undefined;
+
+    /**
+     * The root element of the menu.
+     * @type {HTMLDivElement}
+     */
+    this.element = document.createElement("div");
+    this.element.id = "menu";
+
+    /**
+     * The title that opens and closes the list.
+     * @type {HTMLParagraphElement}
+     */
+    this.title = document.createElement("p");
+    this.title.id = "menu-p";
+    this.title.innerHTML = "Keys";
+    this.title.addEventListener("click", () => this.toggle());
+
+    /**
+     * The list of actions and presets.
+     * @type {HTMLDivElement}
+     */
+    this.list = document.createElement("div");
+    this.list.id = "menu-list";
+
+    this.element.appendChild(this.title);
+    this.element.appendChild(this.list);
+    parent.appendChild(this.element);
+
+    window.addEventListener("keydown", this.handleKeyDown, true);
+
+    this.refresh();
+  }
+
+  /**
+   * Adds a link to the list.
+   * @param {string} text - The text of the link.
+   * @param {Function} click - The function called when the link is clicked.
+   */
+  addLink(text, click) {
+    this.list.appendChild(createLink(text, click));
+  }
+
+  /**
+   * Rebuilds the list from the current bindings.
+   */
+  refresh() {
+    var bindings = this.controller.bindings;
+
+    this.list.innerHTML = "";
+
+    KeyBindings.ACTIONS.forEach((action) => {
+      this.addLink(
+        action +
+          ": " +
+          (this.action == action
+            ? "press a key..."
+            : bindings.actions[action].join(", ") || "none"),
+        () => {
+          this.action = action;
+          this.refresh();
+        }
+      );
+    });
+
+    Object.keys(KeyBindings.PRESETS).forEach((name) => {
+      this.addLink("use " + name, () => {
+        bindings.usePreset(name);
+        this.update();
+      });
+    });
+  }
+
+  /**
+   * Opens or closes the list.
+   */
+  toggle() {
+    this.list.style.display =
+      this.list.style.display == "grid" ? "none" : "grid";
+    this.action = undefined;
+    this.refresh();
+  }
+
+  /**
+   * Saves the bindings and shows them after a change.
+   */
+  update() {
+    this.action = undefined;
+    this.controller.bindings.save();
+    this.controller.releaseAll();
+    this.refresh();
+  }
+
+  /**
+   * Binds the next key pressed to the waiting action. Escape cancels.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeyDown = (event) => {
+    if (!this.action) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (event.code == "Escape") {
+      this.action = undefined;
+      this.refresh();
+      return;
+    }
+
+    this.controller.bindings.bind(this.action, event.code);
+    this.update();
+  };
+}
+
+/**
+ * MenuNavigator class for choosing the links of a menu without a mouse, on the keyboard or on any gamepad.
+ * Up and down move the selection, which wraps around, and confirm follows the selected link.
+ */
+export class MenuNavigator {
+  /**
+   * The keys driving each navigation action.
+   * @type {Object<string, string[]>}
+   */
+  static KEYS = {
+    up: ["ArrowUp", "KeyW"],
+    down: ["ArrowDown", "KeyS"],
+    confirm: ["Enter", "Space"],
+  };
+
+  /**
+   * The standard gamepad buttons driving each navigation action.
+   * @type {Object<string, number[]>}
+   */
+  static GAMEPAD_BUTTONS = {
+    up: [12],
+    down: [13],
+    confirm: [0],
+  };
+
+  /**
+   * Constructor for the MenuNavigator class.
+   * @param {HTMLElement} element - The element holding the links of the menu.
+   */
+  constructor(element) {
+    /**
+     * The element holding the links of the menu.
+     * @type {HTMLElement}
+     */
+    this.element = element;
+
+    /**
+     * The index of the selected link.
+     * @type {number}
+     */
+    this.index = 0;
+
+    /**
+     * The actions held on the gamepads at the last poll, undefined before the first one.
+     * Buttons already held when the menu opens are not presses.
+     * @type {Set<string>|undefined}
+     */
+    this.pads = undefined;
+
+    /**
+     * The ID of the animation frame request polling the gamepads, if any.
+     * @type {number|undefined}
+     */
+    this.animationFrameRequest = undefined;
+  }
+
+  /**
+   * Follows the selected link.
+   */
+  confirm() {
+    let link = this.getLinks()[this.index];
+
+    if (link) link.click();
+  }
+
+  /**
+   * Returns the links of the menu, top first.
+   * @returns {HTMLAnchorElement[]} - The links.
+   */
+  getLinks() {
+    return Array.from(this.element.querySelectorAll("a"));
+  }
+
+  /**
+   * Handles a navigation action.
+   * @param {string} action - The action ("up", "down" or "confirm").
+   */
+  handle(action) {
+    switch (action) {
+      case "up":
+        this.select(this.index - 1);
+        break;
+      case "down":
+        this.select(this.index + 1);
+        break;
+      case "confirm":
+        this.confirm();
+        break;
+    }
+  }
+
+  /**
+   * Moves the selection with the navigation keys, which no longer reach the game while the menu is open.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeyDown = (event) => {
+    let action = Object.keys(MenuNavigator.KEYS).find((name) =>
+      MenuNavigator.KEYS[name].includes(event.code)
+    );
+
+    if (!action) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (!event.repeat || action != "confirm") this.handle(action);
+  };
+
+  /**
+   * Reads the connected gamepads and handles the actions pressed since the last poll.
+   * @param {(Gamepad|null)[]} gamepads - The result of navigator.getGamepads().
+   */
+  pollGamepads(gamepads) {
+    let pads = new Set();
+
+    for (let index = 0; index < gamepads.length; index++) {
+      let gamepad = gamepads[index];
+
+      if (!gamepad || !gamepad.connected) continue;
+
+      Object.keys(MenuNavigator.GAMEPAD_BUTTONS).forEach((action) => {
+        if (
+          MenuNavigator.GAMEPAD_BUTTONS[action].some(
+            (button) => gamepad.buttons[button]?.pressed
+          )
+        ) {
+          pads.add(action);
+        }
+      });
+
+      let stickY = gamepad.axes[1] || 0;
+
+      if (stickY < -Controller.STICK_DEADZONE) pads.add("up");
+      if (stickY > Controller.STICK_DEADZONE) pads.add("down");
+    }
+
+    let held = this.pads || pads;
+
+    this.pads = pads;
+    pads.forEach((action) => {
+      if (!held.has(action)) this.handle(action);
+    });
+  }
+
+  /**
+   * Polls the gamepads on every animation frame while the menu is open.
+   */
+  run = () => {
+    this.animationFrameRequest = window.requestAnimationFrame(this.run);
+
+    if (navigator.getGamepads) this.pollGamepads(navigator.getGamepads());
+  };
+
+  /**
+   * Selects a link, wrapping around at either end of the menu.
+   * @param {number} index - The index of the link.
+   */
+  select(index) {
+    let links = this.getLinks();
+
+    this.index = links.length ? (index + links.length) % links.length : 0;
+
+    links.forEach((link, linkIndex) =>
+      link.classList.toggle("selected", linkIndex == this.index)
+    );
+  }
+
+  /**
+   * Starts listening to the keyboard and the gamepads, with the first link selected.
+   */
+  start() {
+    this.stop();
+    this.pads = undefined;
+    this.select(0);
+
+    window.addEventListener("keydown", this.handleKeyDown, true);
+    this.run();
+  }
+
+  /**
+   * Stops listening to the keyboard and the gamepads.
+   */
+  stop() {
+    window.removeEventListener("keydown", this.handleKeyDown, true);
+
+    if (this.animationFrameRequest !== undefined) {
+      window.cancelAnimationFrame(this.animationFrameRequest);
+      this.animationFrameRequest = undefined;
+    }
+  }
+}
+
+/**
+ * StartMenu class for the menu shown on start, where players continue a saved game or start a new one in a slot.
+ */
+export class StartMenu {
+  /**
+   * Constructor for the StartMenu class.
+   * @param {Array<SaveGame|undefined>} saves - The game saved in every slot, see {@link SaveGame.list}.
+   * @param {Function} start - Called with the index of the chosen slot and its saved game, or undefined for a new game.
+   * @param {HTMLElement} [parent=document.body] - The element the menu is added to.
+   */
+  constructor(saves, start, parent = document.body) {
+    /**
+     * The game saved in every slot.
+     * @type {Array<SaveGame|undefined>}
+     */
+    this.saves = saves;
+
+    /**
+     * Called with the index of the chosen slot and its saved game, or undefined for a new game.
+     * @type {Function}
+     */
+    this.start = start;
+
+    /**
+     * The root element of the menu.
+     * @type {HTMLDivElement}
+     */
+    this.element = document.createElement("div");
+    this.element.id = "start";
+
+    let title = document.createElement("p");
+    title.innerHTML = "Rabbit Trap";
+    this.element.appendChild(title);
+
+    let latest = SaveGame.getLatestSlot(saves);
+
+    if (latest != -1) {
+      this.addLink("Continue", latest, saves[latest]);
+    }
+
+    saves.forEach((save, slot) => {
+      if (save) {
+        this.addLink(
+          "Slot " +
+            (slot + 1) +
+            ": zone " +
+            save.zoneId +
+            ", " +
+            save.countCarrots() +
+            " carrots",
+          slot,
+          save
+        );
+      }
+
+      this.addLink("Slot " + (slot + 1) + ": new game", slot, undefined);
+    });
+
+    parent.appendChild(this.element);
+
+    /**
+     * The navigator choosing the links without a mouse.
+     * @type {MenuNavigator}
+     */
+    this.navigator = new MenuNavigator(this.element);
+    this.navigator.start();
+  }
+
+  /**
+   * Adds a link starting the game in a slot.
+   * @param {string} text - The text of the link.
+   * @param {number} slot - The index of the slot.
+   * @param {SaveGame|undefined} save - The game to continue, or undefined for a new game.
+   */
+  addLink(text, slot, save) {
+    this.element.appendChild(
+      createLink(text, () => {
+        this.remove();
+        this.start(slot, save);
+      })
+    );
+  }
+
+  /**
+   * Removes the menu from the page.
+   */
+  remove() {
+    this.navigator.stop();
+    this.element.remove();
+  }
+}
+
+/**
+ * LevelMenu class for the level select, where players continue a saved game or pick a zone to play,
+ * seeing how many of its carrots they have collected.
+ */
+export class LevelMenu {
+  /**
+   * Constructor for the LevelMenu class.
+   * @param {ZoneRegistry} zones - The zones to pick from.
+   * @param {Collection} collection - The carrots collected so far.
+   * @param {Object<string, Function>} handlers - The functions called by the "resume" and "back" links,
+   * and "select", called with the id of the zone picked.
+   * @param {HTMLElement} [parent=document.body] - The element the menu is added to.
+   */
+  constructor(zones, collection, handlers, parent = document.body) {
+    /**
+     * The root element of the menu.
+     * @type {HTMLDivElement}
+     */
+    this.element = document.createElement("div");
+    this.element.id = "levels";
+
+    let title = document.createElement("p");
+    title.innerHTML = "Select zone";
+    this.element.appendChild(title);
+
+    this.element.appendChild(createLink("Continue", handlers.resume));
+
+    Object.keys(zones.zones).forEach((id) => {
+      this.element.appendChild(
+        createLink(
+          (zones.get(id).name || "Zone " + id) +
+            ": " +
+            collection.count(id) +
+            "/" +
+            zones.countCarrots(id) +
+            " carrots",
+          () => handlers.select(id)
+        )
+      );
+    });
+
+    this.element.appendChild(createLink("Back", handlers.back));
+
+    parent.appendChild(this.element);
+
+    /**
+     * The navigator choosing the links without a mouse.
+     * @type {MenuNavigator}
+     */
+    this.navigator = new MenuNavigator(this.element);
+    this.navigator.start();
+  }
+
+  /**
+   * Removes the menu from the page.
+   */
+  remove() {
+    this.navigator.stop();
+    this.element.remove();
+  }
+}
+
+/**
+ * PauseMenu class for the menu shown while the game is paused.
+ */
+export class PauseMenu {
+  /**
+   * The volumes the volume link steps through.
+   * @type {number[]}
+   */
+  static VOLUMES = [0, 0.25, 0.5, 0.75, 1];
+
+  /**
+   * Constructor for the PauseMenu class.
+   * @param {Sounds} sounds - The sounds whose volume is set.
+   * @param {Object<string, Function>} handlers - The functions called by the "resume", "restart", "keys" and "quit" links.
+   * @param {HTMLElement} [parent=document.body] - The element the menu is added to.
+   */
+  constructor(sounds, handlers, parent = document.body) {
+    /**
+     * The sounds whose volume is set.
+     * @type {Sounds}
+     */
+    this.sounds = sounds;
+
+    /**
+     * The functions called by the links, by action.
+     * @type {Object<string, Function>}
+     */
+    this.handlers = handlers;
+
+    /**
+     * The root element of the menu.
+     * @type {HTMLDivElement}
+     */
+    this.element = document.createElement("div");
+    this.element.id = "pause";
+
+    /**
+     * The navigator choosing the links without a mouse.
+     * @type {MenuNavigator}
+     */
+    this.navigator = new MenuNavigator(this.element);
+
+    parent.appendChild(this.element);
+
+    this.hide();
+  }
+
+  /**
+   * Hides the menu.
+   */
+  hide() {
+    this.navigator.stop();
+    this.element.style.display = "none";
+  }
+
+  /**
+   * Rebuilds the links, e.g. after the volume changed.
+   */
+  refresh() {
+    let title = document.createElement("p");
+
+    title.innerHTML = "Paused";
+
+    this.element.innerHTML = "";
+    this.element.appendChild(title);
+    this.element.appendChild(createLink("Resume", this.handlers.resume));
+    this.element.appendChild(createLink("Restart zone", this.handlers.restart));
+    this.element.appendChild(createLink("Keys", this.handlers.keys));
+    this.element.appendChild(
+      createLink(
+        "Volume: " + Math.round(this.sounds.volume * 100) + "%",
+        () => {
+          let index = PauseMenu.VOLUMES.indexOf(this.sounds.volume);
+
+          this.sounds.volume =
+            PauseMenu.VOLUMES[(index + 1) % PauseMenu.VOLUMES.length];
+          this.sounds.save();
+          this.refresh();
+        }
+      )
+    );
+    this.element.appendChild(createLink("Quit to title", this.handlers.quit));
+    this.navigator.select(this.navigator.index);
+  }
+
+  /**
+   * Shows the menu.
+   */
+  show() {
+    this.refresh();
+    this.element.style.display = "grid";
+    this.navigator.start();
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Random class for generating seeded, repeatable pseudo-random numbers.
+ */
+export class Random {
+  /**
+   * Constructor for the Random class.
+   * @param {number} [seed] - The seed of the sequence, picked at random if omitted.
+   */
+  constructor(seed = Math.floor(Math.random() * 4294967296)) {
+    /**
+     * The seed the sequence started from.
+     * @type {number}
+     */
+    this.seed = seed >>> 0;
+
+    /**
+     * The current state of the generator.
+     * @type {number}
+     */
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next number of the sequence (mulberry32).
+   * @returns {number} - A number between 0 (inclusive) and 1 (exclusive).
+   */
+  next() {
+    let value = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Restarts the sequence from its seed.
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
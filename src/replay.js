@@ -0,0 +1,257 @@
+import { Collection } from "./collection.js";
+
+/**
+ * @typedef {Object} ReplayStart
+ * @property {number} x - The x-coordinate the player starts at.
+ * @property {number} y - The y-coordinate the player starts at.
+ * @property {string[]} [abilities=[]] - The abilities the player starts with.
+ * @property {Object<string, number[]>} [collected={}] - The ids of the carrots already collected in each zone, by zone id.
+ * @property {boolean} [upHeld=false] - Indicates if the up button was already held, so holding it on does not jump.
+ */
+
+/**
+ * Replay class for recording the controller on every tick and playing it back.
+ * Together with the zone id, the random seed and the state the run started from, the frames reproduce a run exactly.
+ */
+export class Replay {
+  /**
+   * The version of the serialized format.
+   * @type {number}
+   */
+  static VERSION = 1;
+
+  /**
+   * Bit of a frame set when the left button is active.
+   * @type {number}
+   */
+  static LEFT = 1;
+
+  /**
+   * Bit of a frame set when the right button is active.
+   * @type {number}
+   */
+  static RIGHT = 2;
+
+  /**
+   * Bit of a frame set when the up button is active.
+   * @type {number}
+   */
+  static UP = 4;
+
+  /**
+   * Bit of a frame set when the down button is active.
+   * @type {number}
+   */
+  static DOWN = 8;
+
+  /**
+   * Bit of a frame set when the dash button is active.
+   * @type {number}
+   */
+  static DASH = 16;
+
+  /**
+   * Bit of a frame set when the restart button is active.
+   * @type {number}
+   */
+  static RESTART = 32;
+
+  /**
+   * Constructor for the Replay class.
+   * @param {string} zoneId - The id of the zone the run starts in.
+   * @param {number} seed - The seed of the world's random generator.
+   * @param {ReplayStart} start - The state of the player and their progress when the run started.
+   * @param {number[]} [frames=[]] - The button bits of each tick.
+   */
+  constructor(zoneId, seed, start, frames = []) {
+    /**
+     * The id of the zone the run starts in.
+     * @type {string}
+     */
+    this.zoneId = zoneId;
+
+    /**
+     * The seed of the world's random generator.
+     * @type {number}
+     */
+    this.seed = seed;
+
+    /**
+     * The x-coordinate the player starts at.
+     * @type {number}
+     */
+    this.x = start.x;
+
+    /**
+     * The y-coordinate the player starts at.
+     * @type {number}
+     */
+    this.y = start.y;
+
+    /**
+     * The abilities the player starts with.
+     * @type {string[]}
+     */
+    this.abilities = start.abilities || [];
+
+    /**
+     * The ids of the carrots already collected in each zone when the run started, by zone id.
+     * A continued game keeps them, so they have to be left out again on playback.
+     * @type {Object<string, number[]>}
+     */
+    this.collected = start.collected || {};
+
+    /**
+     * Indicates if the up button was already held when the run started.
+     * @type {boolean}
+     */
+    this.upHeld = !!start.upHeld;
+
+    /**
+     * The button bits of each tick.
+     * @type {number[]}
+     */
+    this.frames = frames;
+  }
+
+  /**
+   * Sets the controller to the state it had on a recorded tick.
+   * @param {number} tick - The index of the tick.
+   * @param {Controller} controller - The controller to set.
+   * @returns {boolean} - True if the tick was recorded, false once the replay is over.
+   */
+  apply(tick, controller) {
+    if (tick >= this.frames.length) {
+      return false;
+    }
+
+    let frame = this.frames[tick];
+
+    /* Both states are set, so that releasing the buttons once the replay is over takes effect. */
+    controller.left.active = controller.left.down = !!(frame & Replay.LEFT);
+    controller.right.active = controller.right.down = !!(frame & Replay.RIGHT);
+    controller.up.active = controller.up.down = !!(frame & Replay.UP);
+    controller.down.active = controller.down.down = !!(frame & Replay.DOWN);
+    controller.dash.active = controller.dash.down = !!(frame & Replay.DASH);
+    controller.restart.active = controller.restart.down = !!(
+      frame & Replay.RESTART
+    );
+
+    return true;
+  }
+
+  /**
+   * Starts recording a run from the current state of a simulation, whose world should just have been set up.
+   * @param {Simulation} simulation - The simulation the run is played in.
+   * @returns {Replay} - The empty replay.
+   */
+  static capture(simulation) {
+    let world = simulation.world;
+
+    return new Replay(world.zoneId, world.random.seed, {
+      x: world.player.x,
+      y: world.player.y,
+      abilities: Array.from(world.player.abilities),
+      collected: world.collection.toJSON(),
+      upHeld: simulation.upHeld,
+    });
+  }
+
+  /**
+   * Records the state the controller has before a tick is simulated.
+   * @param {Controller} controller - The controller to record.
+   */
+  record(controller) {
+    this.frames.push(
+      (controller.left.active ? Replay.LEFT : 0) |
+        (controller.right.active ? Replay.RIGHT : 0) |
+        (controller.up.active ? Replay.UP : 0) |
+        (controller.down.active ? Replay.DOWN : 0) |
+        (controller.dash.active ? Replay.DASH : 0) |
+        (controller.restart.active ? Replay.RESTART : 0)
+    );
+  }
+
+  /**
+   * Serializes the replay. Frames are run-length encoded as "bits:count" pairs in base 36.
+   * @returns {string} - The serialized replay.
+   */
+  serialize() {
+    let runs = [];
+
+    for (let index = 0; index < this.frames.length; ) {
+      let frame = this.frames[index];
+      let count = 1;
+
+      while (this.frames[index + count] === frame) count++;
+
+      runs.push(frame.toString(36) + ":" + count.toString(36));
+      index += count;
+    }
+
+    return JSON.stringify({
+      version: Replay.VERSION,
+      zoneId: this.zoneId,
+      seed: this.seed,
+      x: this.x,
+      y: this.y,
+      abilities: this.abilities,
+      collected: this.collected,
+      upHeld: this.upHeld,
+      frames: runs.join(","),
+    });
+  }
+
+  /**
+   * Creates a replay from its serialized form.
+   * @param {string} text - The serialized replay.
+   * @returns {Replay} - The replay.
+   * @throws {Error} - If the text is not a complete replay of a supported version.
+   */
+  static parse(text) {
+    let data = JSON.parse(text);
+    let frames = [];
+
+    if (data.version !== Replay.VERSION) {
+      throw new Error("Unsupported replay version " + data.version + ".");
+    }
+
+    if (
+      !Number.isFinite(data.x) ||
+      !Number.isFinite(data.y) ||
+      !Array.isArray(data.abilities) ||
+      !data.collected ||
+      !Object.values(data.collected).every(Array.isArray)
+    ) {
+      throw new Error("Incomplete replay.");
+    }
+
+    if (data.frames) {
+      data.frames.split(",").forEach((run) => {
+        let [frame, count] = run.split(":").map((value) => parseInt(value, 36));
+
+        for (let index = 0; index < count; index++) frames.push(frame);
+      });
+    }
+
+    return new Replay(data.zoneId, data.seed, data, frames);
+  }
+
+  /**
+   * Puts a simulation back into the state the run started from: the zone, the player's position and their progress.
+   * The world's random generator should be seeded with the replay's seed.
+   * @param {Simulation} simulation - The simulation to set up.
+   * @param {ZoneRegistry} zones - The zones to load from.
+   * @throws {ZoneError} - If the zone of the replay is not registered.
+   */
+  setup(simulation, zones) {
+    let world = simulation.world;
+    let zone = zones.get(this.zoneId);
+
+    world.collection = new Collection(this.collected);
+    world.player.abilities = new Set(this.abilities);
+    world.player.respawn(this.x, this.y);
+    world.setup(zone);
+    simulation.upHeld = this.upHeld;
+  }
+}
@@ -0,0 +1,283 @@
+import { Collection } from "./collection.js";
+
+/**
+ * @typedef {Object} SaveData
+ * @property {number} version - The version of the save format.
+ * @property {string} zoneId - The id of the zone the player is in.
+ * @property {number} x - The x-coordinate of the player.
+ * @property {number} y - The y-coordinate of the player.
+ * @property {Object<string, number[]>} collected - The ids of the carrots collected in each zone, by zone id.
+ * @property {string[]} abilities - The abilities the player has picked up.
+ * @property {number} time - When the game was saved, in milliseconds since the epoch.
+ * @property {number} [playTime=0] - The number of updates played, see {@link World#time}.
+ */
+
+/**
+ * Error thrown when a saved game cannot be read.
+ */
+export class SaveError extends Error {
+  /**
+   * Creates a new save error.
+   * @param {string} message - The description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SaveError";
+  }
+}
+
+/**
+ * SaveGame class for the progress of a game, kept in one of several localStorage slots.
+ */
+export class SaveGame {
+  /**
+   * The version of the save format.
+   * @type {number}
+   */
+  static VERSION = 2;
+
+  /**
+   * Functions upgrading saved data by one version, by the version they upgrade from.
+   * Each one returns the data in the format of the next version, so old saves keep loading.
+   * Add one whenever {@link SaveGame.VERSION} is raised.
+   * @type {Object<number, Function>}
+   */
+  static MIGRATIONS = {
+    /* Version 1 also saved the number of carrots, which now follows from the collected ids. */
+    1: (data) => {
+      let upgraded = Object.assign({}, data);
+
+      delete upgraded.carrotCount;
+
+      return upgraded;
+    },
+  };
+
+  /**
+   * The number of save slots.
+   * @type {number}
+   */
+  static SLOTS = 3;
+
+  /**
+   * The localStorage key the slots are saved under, followed by the index of the slot.
+   * @type {string}
+   */
+  static STORAGE_KEY = "rabbit-trap-save-";
+
+  /**
+   * Creates a new saved game.
+   * @param {SaveData} data - The saved data, in the current version.
+   */
+  constructor(data) {
+    /**
+     * The id of the zone the player is in.
+     * @type {string}
+     */
+    this.zoneId = data.zoneId;
+
+    /**
+     * The x-coordinate of the player.
+     * @type {number}
+     */
+    this.x = data.x;
+
+    /**
+     * The y-coordinate of the player.
+     * @type {number}
+     */
+    this.y = data.y;
+
+    /**
+     * The ids of the carrots collected in each zone, by zone id.
+     * @type {Object<string, number[]>}
+     */
+    this.collected = data.collected;
+
+    /**
+     * The abilities the player has picked up.
+     * @type {string[]}
+     */
+    this.abilities = data.abilities;
+
+    /**
+     * When the game was saved, in milliseconds since the epoch.
+     * @type {number}
+     */
+    this.time = data.time;
+
+    /**
+     * The number of updates played.
+     * @type {number}
+     */
+    this.playTime = data.playTime || 0;
+  }
+
+  /**
+   * Saves the progress of a world. A dead player is saved where they will respawn.
+   * @param {World} world - The world to save.
+   * @returns {SaveGame} - The saved game.
+   */
+  static capture(world) {
+    let player = world.player;
+
+    return new SaveGame({
+      zoneId: world.zoneId,
+      x: player.dead ? world.entryX : player.x,
+      y: player.dead ? world.entryY : player.y,
+      collected: world.collection.toJSON(),
+      abilities: Array.from(player.abilities),
+      time: Date.now(),
+      playTime: world.time,
+    });
+  }
+
+  /**
+   * Counts the carrots collected in the saved game.
+   * @returns {number} - The number of carrots collected in every zone.
+   */
+  countCarrots() {
+    return new Collection(this.collected).count();
+  }
+
+  /**
+   * Returns the slot saved most recently.
+   * @param {Array<SaveGame|undefined>} saves - The game saved in every slot, see {@link SaveGame.list}.
+   * @returns {number} - The index of the slot, or -1 if every slot is empty.
+   */
+  static getLatestSlot(saves) {
+    let latest = -1;
+
+    saves.forEach((save, slot) => {
+      if (save && (latest == -1 || save.time > saves[latest].time)) {
+        latest = slot;
+      }
+    });
+
+    return latest;
+  }
+
+  /**
+   * Returns the game saved in every slot.
+   * @param {Storage} [storage=window.localStorage] - The storage to look in.
+   * @returns {Array<SaveGame|undefined>} - The saved games, undefined for empty or unreadable slots.
+   */
+  static list(storage = window.localStorage) {
+    let saves = [];
+
+    for (let slot = 0; slot < SaveGame.SLOTS; slot++) {
+      saves.push(SaveGame.load(slot, storage));
+    }
+
+    return saves;
+  }
+
+  /**
+   * Loads the game saved in a slot. An unreadable save is reported and left as it is.
+   * @param {number} slot - The index of the slot.
+   * @param {Storage} [storage=window.localStorage] - The storage to load from.
+   * @returns {SaveGame|undefined} - The saved game, or undefined if the slot is empty or unreadable.
+   */
+  static load(slot, storage = window.localStorage) {
+    try {
+      let text = storage.getItem(SaveGame.STORAGE_KEY + slot);
+
+      return text ? SaveGame.parse(text) : undefined;
+    } catch (error) {
+      console.error("Could not load save slot " + slot + ": " + error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Creates a saved game from its serialized form, upgrading it from older versions.
+   * @param {string} text - The serialized game.
+   * @returns {SaveGame} - The saved game.
+   * @throws {SaveError} - If the text is not a save of a supported version.
+   */
+  static parse(text) {
+    let data = JSON.parse(text);
+
+    if (
+      !data ||
+      !Number.isInteger(data.version) ||
+      data.version < 1 ||
+      data.version > SaveGame.VERSION
+    ) {
+      throw new SaveError(
+        "Unsupported save version " + (data && data.version) + "."
+      );
+    }
+
+    while (data.version < SaveGame.VERSION) {
+      let migrate = SaveGame.MIGRATIONS[data.version];
+
+      if (!migrate) {
+        throw new SaveError(
+          "Cannot upgrade save version " + data.version + "."
+        );
+      }
+
+      data = Object.assign(migrate(data), { version: data.version + 1 });
+    }
+
+    if (
+      typeof data.zoneId != "string" ||
+      !Number.isFinite(data.x) ||
+      !Number.isFinite(data.y) ||
+      !data.collected ||
+      !Object.values(data.collected).every(Array.isArray) ||
+      !Array.isArray(data.abilities)
+    ) {
+      throw new SaveError("Incomplete save.");
+    }
+
+    return new SaveGame(data);
+  }
+
+  /**
+   * Puts the saved progress back into a world, loading the saved zone with the player where they were.
+   * @param {World} world - The world to restore.
+   * @param {ZoneRegistry} zones - The zones to load from.
+   * @throws {ZoneError} - If the saved zone is no longer registered.
+   */
+  apply(world, zones) {
+    let zone = zones.get(this.zoneId);
+
+    world.collection = new Collection(this.collected);
+    world.player.abilities = new Set(this.abilities);
+    world.time = this.playTime;
+    world.player.respawn(this.x, this.y);
+    world.setup(zone);
+  }
+
+  /**
+   * Saves the game in a slot.
+   * @param {number} slot - The index of the slot.
+   * @param {Storage} [storage=window.localStorage] - The storage to save to.
+   */
+  save(slot, storage = window.localStorage) {
+    try {
+      storage.setItem(SaveGame.STORAGE_KEY + slot, this.serialize());
+    } catch (error) {
+      console.error("Could not save slot " + slot + ": " + error.message);
+    }
+  }
+
+  /**
+   * Serializes the saved game.
+   * @returns {string} - The serialized game.
+   */
+  serialize() {
+    return JSON.stringify({
+      version: SaveGame.VERSION,
+      zoneId: this.zoneId,
+      x: this.x,
+      y: this.y,
+      collected: this.collected,
+      abilities: this.abilities,
+      time: this.time,
+      playTime: this.playTime,
+    });
+  }
+}
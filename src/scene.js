@@ -0,0 +1,139 @@
+/**
+ * @typedef {Object} Scene
+ * @property {Function} [enter] - Called with the data passed to {@link SceneManager#change} or {@link SceneManager#push} when the scene is shown.
+ * @property {Function} [exit] - Called when the scene is removed.
+ * @property {Function} [update] - Called on every update while the scene is on top.
+ * @property {Function} [render] - Called on every frame while the scene is shown, with the timestamp and the interpolation alpha.
+ */
+
+/**
+ * Error thrown when a scene manager is asked for a scene it does not have.
+ */
+export class SceneError extends Error {
+  /**
+   * Creates a new scene error.
+   * @param {string} message - The description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SceneError";
+  }
+}
+
+/**
+ * SceneManager class for the screens of the game: title, level select, gameplay and so on.
+ * Scenes are kept on a stack, so an overlay like the pause menu is pushed over the scene it pauses.
+ * Only the top scene is updated, while every scene is rendered from the bottom up.
+ */
+export class SceneManager {
+  /**
+   * Creates a new scene manager.
+   * @param {Object<string, Scene>} scenes - The scenes, by name.
+   */
+  constructor(scenes) {
+    /**
+     * The scenes, by name.
+     * @type {Object<string, Scene>}
+     */
+    this.scenes = scenes;
+
+    /**
+     * The names of the scenes shown, the top one last.
+     * @type {string[]}
+     */
+    this.stack = [];
+  }
+
+  /**
+   * Removes every scene shown and shows another one instead.
+   * @param {string} name - The name of the scene to show.
+   * @param {*} [data] - The data passed to the enter hook of the scene.
+   */
+  change(name, data) {
+    this.getScene(name);
+
+    while (this.stack.length) this.pop();
+
+    this.push(name, data);
+  }
+
+  /**
+   * Returns the name of the top scene.
+   * @returns {string|undefined} - The name of the scene, or undefined if no scene is shown.
+   */
+  getCurrent() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Returns a scene by name.
+   * @param {string} name - The name of the scene.
+   * @returns {Scene} - The scene.
+   * @throws {SceneError} - If there is no scene with the name.
+   */
+  getScene(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.scenes, name)) {
+      throw new SceneError('Unknown scene "' + name + '".');
+    }
+
+    return this.scenes[name];
+  }
+
+  /**
+   * Checks if a scene is shown, on top or under an overlay.
+   * @param {string} name - The name of the scene.
+   * @returns {boolean} - True if the scene is shown, false otherwise.
+   */
+  has(name) {
+    return this.stack.includes(name);
+  }
+
+  /**
+   * Removes the top scene, showing the one under it again.
+   */
+  pop() {
+    let name = this.getCurrent();
+
+    if (name === undefined) return;
+
+    /* The scene is still on the stack while it exits, e.g. to save the game it shows. */
+    if (this.scenes[name].exit) this.scenes[name].exit();
+
+    this.stack.pop();
+  }
+
+  /**
+   * Shows a scene over the current one, which stops being updated until the scene is popped.
+   * @param {string} name - The name of the scene to show.
+   * @param {*} [data] - The data passed to the enter hook of the scene.
+   */
+  push(name, data) {
+    let scene = this.getScene(name);
+
+    this.stack.push(name);
+
+    if (scene.enter) scene.enter(data);
+  }
+
+  /**
+   * Updates the top scene.
+   */
+  update() {
+    let name = this.getCurrent();
+
+    if (name !== undefined && this.scenes[name].update) {
+      this.scenes[name].update();
+    }
+  }
+
+  /**
+   * Renders every scene shown, from the bottom up.
+   * @param {DOMHighResTimeStamp} timeStamp - The current timestamp in milliseconds.
+   * @param {number} alpha - How far the frame is between the previous and the last update.
+   */
+  render(timeStamp, alpha) {
+    this.stack.slice().forEach((name) => {
+      if (this.scenes[name].render) this.scenes[name].render(timeStamp, alpha);
+    });
+  }
+}
@@ -0,0 +1,200 @@
+import { Controller } from "./controller.js";
+import { World } from "./game.js";
+import { Random } from "./random.js";
+import { zones as bundledZones } from "./zone.js";
+
+/**
+ * @typedef {Object} Input
+ * @property {boolean} [left] - Indicates if the left button is held.
+ * @property {boolean} [right] - Indicates if the right button is held.
+ * @property {boolean} [up] - Indicates if the up button is held.
+ * @property {boolean} [down] - Indicates if the down button is held.
+ * @property {boolean} [dash] - Indicates if the dash button is held.
+ * @property {boolean} [restart] - Indicates if the restart button is held.
+ */
+
+/**
+ * Simulation class for stepping the world one fixed tick at a time.
+ * It has no dependency on the browser, so it also runs headless in Node.
+ */
+export class Simulation {
+  /**
+   * Constructor for the Simulation class.
+   * @param {World} world - The world to simulate.
+   * @param {Controller} controller - The controller driving the player.
+   * @param {ZoneRegistry} [zones] - The zones the doors lead to.
+   */
+  constructor(world, controller, zones = bundledZones) {
+    /**
+     * The world being simulated.
+     * @type {World}
+     */
+    this.world = world;
+
+    /**
+     * The controller driving the player.
+     * @type {Controller}
+     */
+    this.controller = controller;
+
+    /**
+     * The zones the doors lead to.
+     * @type {ZoneRegistry}
+     */
+    this.zones = zones;
+
+    /**
+     * The number of ticks simulated so far.
+     * @type {number}
+     */
+    this.tick = 0;
+
+    /**
+     * Indicates whether the up button was active on the previous tick, to tell presses from holds.
+     * @type {boolean}
+     */
+    this.upHeld = false;
+
+    /**
+     * The door the player went through on the last tick, undefined if they did not.
+     * @type {Door|undefined}
+     */
+    this.door = undefined;
+  }
+
+  /**
+   * Creates a headless simulation with its own world and controller.
+   * @param {string} zoneId - The id of the zone to start in.
+   * @param {number} seed - The seed for the world's random generator.
+   * @param {ZoneRegistry} [zones] - The zones to load from.
+   * @returns {Simulation} - The new simulation.
+   */
+  static create(zoneId, seed, zones = bundledZones) {
+    let world = new World(undefined, undefined, new Random(seed));
+    let simulation = new Simulation(world, new Controller(), zones);
+
+    world.start(zones.get(zoneId));
+
+    return simulation;
+  }
+
+  /**
+   * Creates a headless simulation starting from the same state as a replay, ready to play it.
+   * @param {Replay} replay - The replay to start from.
+   * @param {ZoneRegistry} [zones] - The zones to load from.
+   * @returns {Simulation} - The new simulation.
+   */
+  static fromReplay(replay, zones = bundledZones) {
+    let world = new World(undefined, undefined, new Random(replay.seed));
+    let simulation = new Simulation(world, new Controller(), zones);
+
+    replay.setup(simulation, zones);
+
+    return simulation;
+  }
+
+  /**
+   * Feeds an input to the controller, the same way held keys would.
+   * @param {Input} [input={}] - The buttons held during the tick.
+   */
+  press(input = {}) {
+    this.controller.left.getInput(!!input.left);
+    this.controller.right.getInput(!!input.right);
+    this.controller.up.getInput(!!input.up);
+    this.controller.down.getInput(!!input.down);
+    this.controller.dash.getInput(!!input.dash);
+    this.controller.restart.getInput(!!input.restart);
+  }
+
+  /**
+   * Plays a replay back from the current tick until its frames run out.
+   * The simulation should start from the state the replay was recorded from, see {@link Simulation.fromReplay}.
+   * @param {Replay} replay - The replay to play.
+   * @returns {Simulation} - This simulation, for chaining.
+   */
+  play(replay) {
+    while (replay.apply(this.tick, this.controller)) {
+      this.step();
+    }
+
+    return this;
+  }
+
+  /**
+   * Runs the simulation for a number of ticks.
+   * @param {number} ticks - The number of ticks to run.
+   * @param {Input[]} [inputs=[]] - The input for each tick; missing entries release every button.
+   * @returns {Simulation} - This simulation, for chaining.
+   */
+  run(ticks, inputs = []) {
+    for (let index = 0; index < ticks; index++) {
+      this.press(inputs[index]);
+      this.step();
+    }
+
+    return this;
+  }
+
+  /**
+   * Advances the world by one tick, applying the controller and door travel.
+   * @returns {boolean} - True if the player traveled to another zone or the zone was restarted, false otherwise.
+   */
+  step() {
+    let controller = this.controller;
+    let world = this.world;
+
+    this.tick++;
+    this.door = undefined;
+
+    if (controller.restart.active) {
+      controller.restart.active = false;
+      world.restart();
+
+      return true;
+    }
+
+    if (controller.left.active) {
+      world.player.moveLeft();
+    }
+    if (controller.right.active) {
+      world.player.moveRight();
+    }
+    /* The up button stays active while held, so the player can cut the jump short by letting go. */
+    world.player.updateJump(
+      controller.up.active && !this.upHeld,
+      controller.up.active
+    );
+    this.upHeld = controller.up.active;
+    if (controller.down.active) {
+      world.player.drop();
+    }
+    if (controller.dash.active) {
+      world.player.dash();
+      controller.dash.active = false;
+    }
+
+    world.update();
+
+    if (world.door) {
+      let zone;
+
+      try {
+        zone = this.zones.resolve(world.door);
+      } catch (error) {
+        console.error(error.message);
+
+        world.door.disabled = true;
+        world.door = undefined;
+
+        return false;
+      }
+
+      this.door = world.door;
+      world.setup(zone);
+
+      return true;
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Sounds class for the short sound effects of the game.
+ * They are synthesized with the Web Audio API, so there are no sound files to load.
+ */
+export class Sounds {
+  /**
+   * The sound effects, by name: the oscillator wave, its pitch in hertz and its length in seconds.
+   * @type {Object<string, {type: string, frequency: number, duration: number}>}
+   */
+  static EFFECTS = {
+    footstep: { type: "triangle", frequency: 90, duration: 0.05 },
+  };
+
+  /**
+   * The localStorage key the volume is saved under.
+   * @type {string}
+   */
+  static STORAGE_KEY = "rabbit-trap-volume";
+
+  /**
+   * Constructor for the Sounds class.
+   * @param {number} [volume=0.5] - The volume, from 0 (muted) to 1.
+   */
+  constructor(volume = 0.5) {
+    /**
+     * The audio context, created on the first sound since browsers only allow it after a key press or touch.
+     * @type {AudioContext|undefined}
+     */
+    this.context = undefined;
+
+    /**
+     * The volume, from 0 (muted) to 1.
+     * @type {number}
+     */
+    this.volume = volume;
+  }
+
+  /**
+   * Loads the volume saved in localStorage, keeping the current one if there is none.
+   * @param {Storage} [storage=window.localStorage] - The storage to load from.
+   */
+  load(storage = window.localStorage) {
+    try {
+      let volume = parseFloat(storage.getItem(Sounds.STORAGE_KEY));
+
+      if (volume >= 0 && volume <= 1) this.volume = volume;
+    } catch (error) {
+      console.error("Could not load the volume: " + error.message);
+    }
+  }
+
+  /**
+   * Plays a sound effect.
+   * @param {string} name - The name of the effect, one of {@link Sounds.EFFECTS}.
+   */
+  play(name) {
+    let effect = Sounds.EFFECTS[name];
+
+    if (!effect || this.volume <= 0 || !window.AudioContext) return;
+
+    if (!this.context) this.context = new AudioContext();
+    if (this.context.state == "suspended") this.context.resume();
+
+    let oscillator = this.context.createOscillator();
+    let gain = this.context.createGain();
+    let time = this.context.currentTime;
+
+    oscillator.type = effect.type;
+    oscillator.frequency.value = effect.frequency;
+    gain.gain.setValueAtTime(this.volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + effect.duration);
+
+    oscillator.connect(gain).connect(this.context.destination);
+    oscillator.start(time);
+    oscillator.stop(time + effect.duration);
+  }
+
+  /**
+   * Saves the volume in localStorage.
+   * @param {Storage} [storage=window.localStorage] - The storage to save to.
+   */
+  save(storage = window.localStorage) {
+    try {
+      storage.setItem(Sounds.STORAGE_KEY, String(this.volume));
+    } catch (error) {
+      console.error("Could not save the volume: " + error.message);
+    }
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * @typedef {Object} State
+ * @property {string[]} transitions - The names of the states this state may change to.
+ * @property {Function} [enter] - Called with the owner when the state is entered.
+ * @property {Function} [exit] - Called with the owner when the state is left.
+ * @property {Function} [update] - Called with the owner on every update, returns the name of the state to change to, if any.
+ */
+
+/**
+ * Error thrown when a state machine is asked for a state it does not have.
+ */
+export class StateError extends Error {
+  /**
+   * Creates a new state error.
+   * @param {string} message - The description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "StateError";
+  }
+}
+
+/**
+ * Finite state machine for an object that is in exactly one of a set of named states.
+ */
+export class StateMachine {
+  /**
+   * Creates a new state machine.
+   * @param {Object} owner - The object the hooks of the states are called with.
+   * @param {Object<string, State>} states - The states, by name.
+   * @param {string} initial - The name of the state to start in.
+   */
+  constructor(owner, states, initial) {
+    /**
+     * The object the hooks of the states are called with.
+     * @type {Object}
+     */
+    this.owner = owner;
+
+    /**
+     * The states, by name.
+     * @type {Object<string, State>}
+     */
+    this.states = states;
+
+    /**
+     * The name of the current state.
+     * @type {string}
+     */
+    this.name = initial;
+
+    /**
+     * The name of the state before the current one, if any.
+     * @type {string|undefined}
+     */
+    this.previous = undefined;
+
+    /**
+     * The number of updates since the current state was entered.
+     * @type {number}
+     */
+    this.time = 0;
+
+    this.getState(initial);
+  }
+
+  /**
+   * Checks if the current state may change to another state.
+   * @param {string} name - The name of the other state.
+   * @returns {boolean} - True if the transition is allowed, false otherwise.
+   */
+  canChange(name) {
+    return this.getState(this.name).transitions.includes(name);
+  }
+
+  /**
+   * Returns a state by name.
+   * @param {string} name - The name of the state.
+   * @returns {State} - The state.
+   * @throws {StateError} - If there is no state with the name.
+   */
+  getState(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.states, name)) {
+      throw new StateError('Unknown state "' + name + '".');
+    }
+
+    return this.states[name];
+  }
+
+  /**
+   * Enters a state without checking the transition, e.g. when the owner is put back at a spawn point.
+   * The exit and enter hooks are still called.
+   * @param {string} name - The name of the state to enter.
+   */
+  reset(name) {
+    let state = this.getState(name);
+
+    if (this.states[this.name].exit) this.states[this.name].exit(this.owner);
+
+    this.previous = this.name;
+    this.name = name;
+    this.time = 0;
+
+    if (state.enter) state.enter(this.owner);
+  }
+
+  /**
+   * Changes to another state if the current state allows it. Changing to the current state does nothing.
+   * @param {string} name - The name of the state to change to.
+   * @returns {boolean} - True if the machine is in the state afterwards, false if the transition was refused.
+   */
+  set(name) {
+    if (name == this.name) return true;
+
+    if (!this.canChange(name)) return false;
+
+    this.reset(name);
+
+    return true;
+  }
+
+  /**
+   * Runs the update hook of the current state and changes to the state it returns, if any.
+   */
+  update() {
+    let state = this.states[this.name];
+    let next = state.update ? state.update(this.owner) : undefined;
+
+    this.time++;
+
+    if (next) this.set(next);
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * TouchControls class for the on-screen left, right, dash and jump zones on touch devices.
+ */
+export class TouchControls {
+  /**
+   * The zones of the overlay and the actions they hold.
+   * @type {string[]}
+   */
+  static ZONES = ["left", "right", "dash", "jump"];
+
+  /**
+   * Constructor for the TouchControls class.
+   * @param {Controller} controller - The controller the zones drive.
+   * @param {HTMLElement} [parent=document.body] - The element the overlay is added to.
+   */
+  constructor(controller, parent = document.body) {
+    /**
+     * The controller the zones drive.
+     * @type {Controller}
+     */
+    this.controller = controller;
+
+    /**
+     * The overlay covering the canvas.
+     * @type {HTMLDivElement}
+     */
+    this.element = document.createElement("div");
+    this.element.id = "touch";
+
+    /**
+     * The zone elements of the overlay.
+     * @type {HTMLDivElement[]}
+     */
+    this.zones = TouchControls.ZONES.map((action) => {
+      let zone = document.createElement("div");
+
+      zone.className = "touch-" + action;
+      zone.dataset.action = action;
+      this.element.appendChild(zone);
+
+      return zone;
+    });
+
+    parent.appendChild(this.element);
+
+    ["touchstart", "touchmove", "touchend", "touchcancel"].forEach((type) =>
+      this.element.addEventListener(type, this.handleTouch, { passive: false })
+    );
+    window.addEventListener("touchstart", this.handleWindowTouch);
+
+    this.hide();
+
+    if (navigator.maxTouchPoints > 0) this.show();
+  }
+
+  /**
+   * Hides the overlay and releases its zones, e.g. once a keyboard or gamepad is used.
+   */
+  hide() {
+    if (this.element.style.display == "none") return;
+
+    this.element.style.display = "none";
+    this.controller.touch([]);
+  }
+
+  /**
+   * Places the overlay over the letterboxed canvas.
+   * @param {DOMRect} rectangle - The bounding rectangle of the canvas.
+   */
+  resize(rectangle) {
+    this.element.style.left = rectangle.left + "px";
+    this.element.style.top = rectangle.top + "px";
+    this.element.style.width = rectangle.width + "px";
+    this.element.style.height = rectangle.height + "px";
+  }
+
+  /**
+   * Shows the overlay.
+   */
+  show() {
+    this.element.style.display = "block";
+  }
+
+  /**
+   * Holds the action of every zone that is under a touch, so several can be held at once.
+   * @param {TouchEvent} event - The touch event.
+   */
+  handleTouch = (event) => {
+    let actions = [];
+
+    event.preventDefault();
+
+    for (let index = 0; index < event.touches.length; index++) {
+      let touch = event.touches[index];
+
+      this.zones.forEach((zone) => {
+        let rectangle = zone.getBoundingClientRect();
+
+        if (
+          touch.clientX >= rectangle.left &&
+          touch.clientX < rectangle.right &&
+          touch.clientY >= rectangle.top &&
+          touch.clientY < rectangle.bottom
+        ) {
+          actions.push(zone.dataset.action);
+        }
+      });
+    }
+
+    this.controller.touch(actions);
+  };
+
+  /**
+   * Shows the overlay again when the screen is touched while it is hidden.
+   * @param {TouchEvent} event - The touch event.
+   */
+  handleWindowTouch = (event) => {
+    this.show();
+  };
+}
@@ -0,0 +1,369 @@
+import { zone00, zone01, zone02 } from "./assets.js";
+import { Display } from "./display.js";
+import { Enemy, Player, Volume } from "./game.js";
+
+/**
+ * @typedef {Object} DoorData
+ * @property {number} x - The x-coordinate of the door.
+ * @property {number} y - The y-coordinate of the door.
+ * @property {number} width - The width of the door.
+ * @property {number} height - The height of the door.
+ * @property {number} destinationX - The x-coordinate of the destination, or -1 to keep the current one.
+ * @property {number} destinationY - The y-coordinate of the destination, or -1 to keep the current one.
+ * @property {string} destinationZone - The id of the destination zone.
+ * @property {string} [transition="slide"] - The screen transition to the destination, one of {@link Display.TRANSITIONS}.
+ */
+
+/**
+ * @typedef {Object} EnemyData
+ * @property {string} type - The type of the enemy, one of {@link Enemy.TYPES}.
+ * @property {number} column - The column of the tile the enemy stands in.
+ * @property {number} row - The row of the tile the enemy stands in.
+ */
+
+/**
+ * @typedef {Object} PickupData
+ * @property {string} ability - The ability granted, one of {@link Player.ABILITIES}.
+ * @property {number} column - The column of the tile the pickup floats in.
+ * @property {number} row - The row of the tile the pickup floats in.
+ */
+
+/**
+ * @typedef {Object} PlatformData
+ * @property {number} width - The width of the platform in tiles.
+ * @property {number[][]} path - The tile coordinates of the waypoints, starting where the platform starts.
+ * @property {number} [speed=1] - The distance the platform moves per update.
+ * @property {number} [tile=47] - The tile set index the platform is drawn with.
+ */
+
+/**
+ * @typedef {Object} VolumeData
+ * @property {string} type - The type of the volume, one of the keys of {@link Volume.TYPES}.
+ * @property {number} column - The column of the top left tile of the volume.
+ * @property {number} row - The row of the top left tile of the volume.
+ * @property {number} width - The width of the volume in tiles.
+ * @property {number} height - The height of the volume in tiles.
+ * @property {number} [gravity] - The gravity inside the volume, overriding the type's.
+ * @property {number} [friction] - The friction inside the volume, overriding the type's.
+ * @property {number} [forceX] - The push along the x-axis, overriding the type's.
+ * @property {number} [forceY] - The push along the y-axis, overriding the type's.
+ */
+
+/**
+ * @typedef {Object} PhysicsData
+ * @property {number} [gravity] - The gravity of the zone.
+ * @property {number} [friction] - The friction of the zone.
+ * @property {number} [jumpImpulse] - The velocity given to the player by a jump.
+ * @property {number} [swimImpulse] - The velocity given to the player by a stroke when swimming.
+ * @property {number} [acceleration] - The velocity added every update while the player is moving.
+ * @property {number} [coyoteTime] - The number of updates the player can still jump after walking off a ledge.
+ * @property {number} [jumpBufferTime] - The number of updates a jump press is remembered.
+ * @property {number} [jumpCut] - The factor the rising velocity is multiplied by when the jump button is let go early.
+ */
+
+/**
+ * @typedef {Object} Zone
+ * @property {string} id - The id of the zone.
+ * @property {string} [name] - The name of the zone shown to the player.
+ * @property {number} columns - The number of columns in the zone.
+ * @property {number} rows - The number of rows in the zone.
+ * @property {number[]} collisionMap - The collision values of the zone tiles.
+ * @property {number[]} graphicalMap - The tile set indices of the zone tiles.
+ * @property {number[][]} carrots - The tile coordinates and ids of the carrots, [column, row, id].
+ * Ids are unique within the zone and never reused, so saved games keep pointing at the right carrots.
+ * @property {number[][]} grass - The tile coordinates of the grass.
+ * @property {DoorData[]} doors - The doors leading out of the zone.
+ * @property {number[][]} [checkpoints=[]] - The tile coordinates of the checkpoints.
+ * @property {EnemyData[]} [enemies=[]] - The enemies placed in the zone.
+ * @property {PlatformData[]} [platforms=[]] - The moving platforms of the zone.
+ * @property {VolumeData[]} [volumes=[]] - The water, ice and wind volumes of the zone.
+ * @property {PickupData[]} [pickups=[]] - The ability pickups of the zone.
+ * @property {PhysicsData} [physics] - The settings overriding the world's physics in the zone.
+ * @property {number[]} [spawn] - The tile coordinates the player starts on when the zone is started, [column, row].
+ */
+
+/**
+ * Error raised when a zone or a door link can't be resolved.
+ * @extends Error
+ */
+export class ZoneError extends Error {
+  /**
+   * Creates a new zone error.
+   * @param {string} message - The description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ZoneError";
+  }
+}
+
+/**
+ * Registry holding every zone bundled with the game.
+ */
+export class ZoneRegistry {
+  /**
+   * Creates a new zone registry.
+   * @param {Zone[]} [zones=[]] - The zones to register.
+   * @param {number} [tileSize=16] - The size of each tile in pixels.
+   */
+  constructor(zones = [], tileSize = 16) {
+    /**
+     * The registered zones by id.
+     * @type {Object<string, Zone>}
+     */
+    this.zones = {};
+
+    /**
+     * The size of each tile in pixels.
+     * @type {number}
+     */
+    this.tileSize = tileSize;
+
+    zones.forEach((zone) => this.add(zone));
+  }
+
+  /**
+   * Registers a zone.
+   * @param {Zone} zone - The zone to register.
+   */
+  add(zone) {
+    this.zones[zone.id] = zone;
+  }
+
+  /**
+   * Counts the carrots of a zone, or of every registered zone.
+   * @param {string} [id] - The id of the zone, or undefined for every zone.
+   * @returns {number} - The number of carrots.
+   */
+  countCarrots(id) {
+    if (id !== undefined) {
+      return this.get(id).carrots.length;
+    }
+
+    return Object.keys(this.zones).reduce(
+      (count, zoneId) => count + this.zones[zoneId].carrots.length,
+      0
+    );
+  }
+
+  /**
+   * Returns the registered zone with the given id.
+   * @param {string} id - The id of the zone.
+   * @returns {Zone} - The zone.
+   * @throws {ZoneError} - If no zone is registered with the id.
+   */
+  get(id) {
+    if (!this.has(id)) {
+      throw new ZoneError('Zone "' + id + '" is not registered.');
+    }
+
+    return this.zones[id];
+  }
+
+  /**
+   * Checks if a zone is registered with the given id.
+   * @param {string} id - The id of the zone.
+   * @returns {boolean} - True if the zone is registered, false otherwise.
+   */
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.zones, id);
+  }
+
+  /**
+   * Resolves the zone a door leads to.
+   * @param {DoorData} door - The door to resolve.
+   * @returns {Zone} - The destination zone.
+   * @throws {ZoneError} - If the door points at a missing zone or spawn point.
+   */
+  resolve(door) {
+    let error = this.checkDoor(door);
+
+    if (error) {
+      throw new ZoneError(error);
+    }
+
+    return this.zones[door.destinationZone];
+  }
+
+  /**
+   * Checks the doors, enemies, volumes, carrots, pickups and spawn tile of every registered zone.
+   * @returns {ZoneError[]} - One error for each problem, empty if every zone is valid.
+   */
+  validate() {
+    let errors = [];
+
+    for (let id in this.zones) {
+      let doors = this.zones[id].doors;
+      let enemies = this.zones[id].enemies || [];
+      let volumes = this.zones[id].volumes || [];
+      let pickups = this.zones[id].pickups || [];
+      let carrots = this.zones[id].carrots;
+      let carrotIds = new Set();
+
+      for (let index = 0; index < doors.length; index++) {
+        let error = this.checkDoor(doors[index]);
+
+        if (error) {
+          errors.push(
+            new ZoneError(
+              "Door " + index + ' of zone "' + id + '" is broken: ' + error
+            )
+          );
+        }
+
+        if (
+          doors[index].transition !== undefined &&
+          !Display.TRANSITIONS.includes(doors[index].transition)
+        ) {
+          errors.push(
+            new ZoneError(
+              "Door " +
+                index +
+                ' of zone "' +
+                id +
+                '" has unknown transition "' +
+                doors[index].transition +
+                '".'
+            )
+          );
+        }
+      }
+
+      for (let index = 0; index < enemies.length; index++) {
+        if (!Enemy.TYPES.includes(enemies[index].type)) {
+          errors.push(
+            new ZoneError(
+              "Enemy " +
+                index +
+                ' of zone "' +
+                id +
+                '" has unknown type "' +
+                enemies[index].type +
+                '".'
+            )
+          );
+        }
+      }
+
+      for (let index = 0; index < volumes.length; index++) {
+        if (!(volumes[index].type in Volume.TYPES)) {
+          errors.push(
+            new ZoneError(
+              "Volume " +
+                index +
+                ' of zone "' +
+                id +
+                '" has unknown type "' +
+                volumes[index].type +
+                '".'
+            )
+          );
+        }
+      }
+
+      for (let index = 0; index < carrots.length; index++) {
+        let carrotId = carrots[index][2];
+
+        if (!Number.isInteger(carrotId) || carrotIds.has(carrotId)) {
+          errors.push(
+            new ZoneError(
+              "Carrot " +
+                index +
+                ' of zone "' +
+                id +
+                '" needs a unique id, not ' +
+                carrotId +
+                "."
+            )
+          );
+        }
+
+        carrotIds.add(carrotId);
+      }
+
+      for (let index = 0; index < pickups.length; index++) {
+        if (!Player.ABILITIES.includes(pickups[index].ability)) {
+          errors.push(
+            new ZoneError(
+              "Pickup " +
+                index +
+                ' of zone "' +
+                id +
+                '" has unknown ability "' +
+                pickups[index].ability +
+                '".'
+            )
+          );
+        }
+      }
+
+      let spawn = this.zones[id].spawn;
+
+      if (
+        spawn &&
+        !(
+          spawn[0] >= 0 &&
+          spawn[0] < this.zones[id].columns &&
+          spawn[1] >= 0 &&
+          spawn[1] < this.zones[id].rows
+        )
+      ) {
+        errors.push(
+          new ZoneError('Spawn tile of zone "' + id + '" is outside of it.')
+        );
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks that a door points at a registered zone and a spawn point inside it.
+   * @param {DoorData} door - The door to check.
+   * @returns {string|undefined} - The description of the problem, or undefined if the door is valid.
+   */
+  checkDoor(door) {
+    if (!this.has(door.destinationZone)) {
+      return 'Zone "' + door.destinationZone + '" is not registered.';
+    }
+
+    let zone = this.zones[door.destinationZone];
+
+    if (
+      door.destinationX != -1 &&
+      !(
+        door.destinationX >= 0 &&
+        door.destinationX < zone.columns * this.tileSize
+      )
+    ) {
+      return (
+        "Spawn x " +
+        door.destinationX +
+        ' is outside of zone "' +
+        zone.id +
+        '".'
+      );
+    }
+
+    if (
+      door.destinationY != -1 &&
+      !(door.destinationY >= 0 && door.destinationY < zone.rows * this.tileSize)
+    ) {
+      return (
+        "Spawn y " +
+        door.destinationY +
+        ' is outside of zone "' +
+        zone.id +
+        '".'
+      );
+    }
+
+    return undefined;
+  }
+}
+
+/**
+ * The zones bundled with the game.
+ * @type {ZoneRegistry}
+ */
+export const zones = new ZoneRegistry([zone00, zone01, zone02]);
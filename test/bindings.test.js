@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { KeyBindings } from "../src/bindings.js";
+import { Controller } from "../src/controller.js";
+
+test("an action stays down while any of its keys is held", () => {
+  let controller = new Controller(new KeyBindings(KeyBindings.PRESETS.wasd));
+
+  controller.keyDownUp("keydown", "KeyA");
+  controller.keyDownUp("keydown", "ArrowLeft");
+  controller.keyDownUp("keyup", "KeyA");
+
+  assert.equal(controller.left.down, true);
+
+  controller.keyDownUp("keyup", "ArrowLeft");
+
+  assert.equal(controller.left.down, false);
+  assert.equal(controller.keyDownUp("keydown", "KeyM"), false);
+});
+
+test("binding a key takes it away from its other action", () => {
+  let bindings = new KeyBindings();
+
+  bindings.bind("jump", "ArrowLeft");
+
+  assert.equal(bindings.getAction("ArrowLeft"), "jump");
+  assert.deepEqual(bindings.actions.left, []);
+});
+
+test("saved bindings load back, ignoring unknown actions", () => {
+  let items = {};
+  let storage = {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+  };
+  let bindings = new KeyBindings(KeyBindings.PRESETS.zqsd);
+
+  bindings.save(storage);
+  items[KeyBindings.STORAGE_KEY] = items[KeyBindings.STORAGE_KEY].replace(
+    "{",
+    '{"fly":["KeyF"],'
+  );
+  bindings = new KeyBindings();
+  bindings.load(storage);
+
+  assert.deepEqual(bindings.actions, KeyBindings.PRESETS.zqsd);
+  assert.equal("fly" in bindings.actions, false);
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Collection } from "../src/collection.js";
+
+test("carrots are counted per zone and in total", () => {
+  let collection = new Collection({ "00": [0, 3] });
+
+  collection.add("01", 2);
+  collection.add("01", 2);
+
+  assert.equal(collection.count("00"), 2);
+  assert.equal(collection.count("01"), 1);
+  assert.equal(collection.count("02"), 0);
+  assert.equal(collection.count(), 3);
+  assert.equal(collection.has("00", 3), true);
+  assert.equal(collection.has("01", 3), false);
+  assert.deepEqual(collection.toJSON(), { "00": [0, 3], "01": [2] });
+
+  collection.set("00", [1]);
+
+  assert.deepEqual(collection.list("00"), [1]);
+  assert.deepEqual(collection.list("02"), []);
+
+  collection.clear();
+
+  assert.equal(collection.count(), 0);
+});
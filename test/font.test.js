@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { BitmapFont } from "../src/font.js";
+import { Hud } from "../src/hud.js";
+
+let font = new BitmapFont();
+
+test("text is wrapped between words", () => {
+  assert.deepEqual(font.wrap("one two three", 28), ["one two", "three"]);
+  assert.deepEqual(font.wrap("one\ntwo"), ["one", "two"]);
+});
+
+test("words wider than a line are broken", () => {
+  assert.deepEqual(font.wrap("carrots", 12), ["car", "rot", "s"]);
+});
+
+test("characters the font lacks are drawn as a question mark", () => {
+  assert.equal(font.getGlyph("a"), font.getGlyph("A"));
+  assert.equal(font.getGlyph("~"), font.getGlyph("?"));
+});
+
+test("the time played is shown in minutes and seconds", () => {
+  assert.equal(Hud.formatTime(5.9), "0:05");
+  assert.equal(Hud.formatTime(65), "1:05");
+  assert.equal(Hud.formatTime(600), "10:00");
+});
@@ -0,0 +1,667 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  Animator,
+  Collider,
+  Door,
+  MovingObject,
+  Player,
+  World,
+} from "../src/game.js";
+import { Random } from "../src/random.js";
+
+/**
+ * Tile values of the characters used to draw test zones.
+ * @type {Object<string, number>}
+ */
+const TILES = {
+  ".": 0,
+  "=": 1,
+  "|": 8,
+  "#": 15,
+  "-": Collider.ONE_WAY,
+  "/": Collider.SLOPE_UP,
+  "\\": Collider.SLOPE_DOWN,
+  "^": Collider.SPIKES,
+  _: Collider.PIT,
+};
+
+/**
+ * Creates a zone from rows of characters, see {@link TILES}.
+ * @param {string[]} rows - The rows of the zone, top first.
+ * @param {Object} [data={}] - The other properties of the zone.
+ * @returns {Zone} - The zone.
+ */
+function createZone(rows, data = {}) {
+  let collisionMap = [];
+
+  rows.forEach((row) =>
+    row.split("").forEach((tile) => collisionMap.push(TILES[tile]))
+  );
+
+  return Object.assign(
+    {
+      id: "test",
+      columns: rows[0].length,
+      rows: rows.length,
+      collisionMap,
+      graphicalMap: collisionMap.map(() => 0),
+      carrots: [],
+      grass: [],
+      doors: [],
+    },
+    data
+  );
+}
+
+/**
+ * Creates a world set up in a zone, with the player standing on a tile.
+ * @param {Zone} zone - The zone to set up.
+ * @param {number} column - The column of the tile the player stands on.
+ * @param {number} row - The row of the tile the player stands on.
+ * @returns {World} - The world.
+ */
+function createWorld(zone, column, row) {
+  let world = new World(undefined, undefined, new Random(1));
+  let tileSize = world.tileSet.tileSize;
+
+  world.player.respawn(
+    column * tileSize + (tileSize - world.player.width) * 0.5,
+    (row + 1) * tileSize - world.player.height - 0.01
+  );
+  world.setup(zone);
+
+  return world;
+}
+
+/**
+ * Updates a world a number of times.
+ * @param {World} world - The world to update.
+ * @param {number} ticks - The number of updates.
+ * @param {Function} [control] - Called with the player before every update, to move them.
+ */
+function run(world, ticks, control = () => {}) {
+  for (let tick = 0; tick < ticks; tick++) {
+    control(world.player);
+    world.update();
+  }
+}
+
+test("spikes take a life and the player respawns at the last checkpoint", () => {
+  let world = createWorld(
+    createZone(["......", "......", "......", "==^==="], {
+      checkpoints: [[1, 2]],
+    }),
+    1,
+    2
+  );
+
+  run(world, 1);
+
+  assert.equal(world.checkpoint, world.checkpoints[0]);
+
+  run(world, 15, (player) => player.moveRight());
+
+  assert.equal(world.player.dead, true);
+  assert.equal(world.lives, 2);
+
+  run(world, 45);
+
+  assert.equal(world.player.dead, false);
+  assert.equal(world.player.x, 20.5);
+  assert.equal(world.player.y, 35.99);
+});
+
+test("running out of lives restarts the zone without the carrots collected in it", () => {
+  let world = createWorld(
+    createZone(["......", "......", "......", "==__=="]),
+    1,
+    2
+  );
+  let x = world.player.x;
+
+  /* Enter the zone with two carrots from another zone, then pick one up in it. */
+  world.collection.add("other", 0);
+  world.collection.add("other", 1);
+  world.setup(world.zone);
+  world.collection.add("test", 0);
+  world.lives = 1;
+
+  run(world, 15, (player) => player.moveRight());
+
+  assert.equal(world.player.dead, true);
+  assert.equal(world.lives, 0);
+
+  run(world, 45);
+
+  assert.equal(world.player.dead, false);
+  assert.equal(world.lives, world.maxLives);
+  assert.equal(world.collection.count(), 2);
+  assert.equal(world.player.x, x);
+});
+
+test("walkers turn around at the edges of the floor they walk on", () => {
+  let world = createWorld(
+    createZone(["........", "........", "..====.."], {
+      enemies: [{ type: "walker", column: 4, row: 1 }],
+    }),
+    0,
+    0
+  );
+  let walker = world.enemies[0];
+  let left = walker.getLeft();
+  let right = walker.getRight();
+
+  run(world, 150, () => {
+    left = Math.min(left, walker.getLeft());
+    right = Math.max(right, walker.getRight());
+  });
+
+  assert.equal(left >= 32, true);
+  assert.equal(right <= 96, true);
+  assert.equal(right - left > 50, true);
+});
+
+test("enemies kill the player unless the player lands on them", () => {
+  let zone = createZone(["........", "........", "........", "========"], {
+    enemies: [{ type: "walker", column: 4, row: 2 }],
+  });
+  let world = createWorld(zone, 1, 2);
+
+  run(world, 60);
+
+  assert.equal(world.player.dead, true);
+  assert.equal(world.enemies.length, 1);
+
+  world = createWorld(zone, 4, 0);
+
+  run(world, 5);
+
+  assert.equal(world.player.dead, false);
+  assert.equal(world.enemies.length, 0);
+  assert.equal(world.player.velocityY < 0, true);
+});
+
+test("moving platforms carry the player standing on them", () => {
+  let world = createWorld(
+    createZone(["..........", "..........", "..........", ".........."], {
+      platforms: [
+        {
+          width: 2,
+          path: [
+            [2, 2],
+            [6, 2],
+          ],
+        },
+      ],
+    }),
+    2,
+    1
+  );
+  let platform = world.platforms[0];
+
+  run(world, 1);
+
+  let x = world.player.x;
+
+  run(world, 30);
+
+  assert.equal(world.player.platform, platform);
+  assert.equal(platform.x, 63);
+  assert.equal(world.player.x, x + 30);
+});
+
+test("one-way platforms hold the player from above only, until they drop", () => {
+  let world = createWorld(
+    createZone(["......", "......", "..--..", "......", "======"]),
+    2,
+    3
+  );
+
+  run(world, 1);
+  world.player.jump();
+  run(world, 30);
+
+  assert.equal(world.player.y, 19.99);
+
+  world.player.drop();
+  run(world, 30);
+
+  assert.equal(world.player.y, 51.99);
+});
+
+test("slopes rise by their whole height or half of it across a tile", () => {
+  let collider = new Collider();
+
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_UP, 4, 32, 16), 44);
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_DOWN, 4, 32, 16), 36);
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_UP_LOW, 4, 32, 16), 46);
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_UP_HIGH, 4, 32, 16), 38);
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_DOWN_HIGH, 4, 32, 16), 34);
+  assert.equal(collider.getSlopeTop(Collider.SLOPE_DOWN_LOW, 4, 32, 16), 42);
+});
+
+test("the player walks over a bump of slopes without leaving the ground", () => {
+  let world = createWorld(
+    createZone(["......", "......", "../\\..", "======"]),
+    0,
+    2
+  );
+  let top = world.player.y;
+  let airborne = false;
+
+  run(world, 1);
+  run(world, 30, (player) => {
+    player.moveRight();
+    top = Math.min(top, player.y);
+    airborne = airborne || player.jumping;
+  });
+
+  assert.equal(airborne, false);
+  assert.equal(top < 24, true);
+  assert.equal(world.player.x > 64, true);
+  assert.equal(world.player.y, 35.99);
+});
+
+test("objects moving more than a tile per update still stop at thin walls and floors", () => {
+  let world = createWorld(
+    createZone(["...|....", "...|.==.", "........", "........"]),
+    0,
+    0
+  );
+  let object = new MovingObject(16, 4, 8, 8, 40);
+
+  object.velocityX = 40;
+  object.updatePosition(0, 1);
+  world.collideObject(object);
+
+  assert.equal(object.getRight() < 48, true);
+  assert.equal(object.velocityX, 0);
+
+  object = new MovingObject(84, 0, 8, 8, 40);
+  object.velocityY = 40;
+  object.updatePosition(0, 1);
+  world.collideObject(object);
+
+  assert.equal(object.getBottom() < 16, true);
+  assert.equal(object.velocityY, 0);
+});
+
+test("zones override the world's physics and zones without settings get the defaults back", () => {
+  let zone = createZone(["....", "===="]);
+  let world = createWorld(
+    Object.assign({}, zone, { physics: { gravity: 1, jumpImpulse: 8 } }),
+    0,
+    0
+  );
+
+  assert.equal(world.gravity, 1);
+  assert.equal(world.player.jumpImpulse, 8);
+
+  world.setup(zone);
+
+  assert.equal(world.gravity, world.defaultGravity);
+  assert.equal(world.player.jumpImpulse, Player.JUMP_IMPULSE);
+});
+
+test("wind pushes the player along and water slows their fall", () => {
+  let rows = ["........", "........", "........", "........", "========"];
+  let world = createWorld(
+    createZone(rows, {
+      volumes: [{ type: "wind", column: 0, row: 0, width: 8, height: 4 }],
+    }),
+    1,
+    3
+  );
+  let x = world.player.x;
+
+  run(world, 10);
+
+  assert.equal(world.player.x > x + 10, true);
+
+  let dry = createWorld(createZone(rows), 1, 0);
+  let wet = createWorld(
+    createZone(rows, {
+      volumes: [{ type: "water", column: 0, row: 0, width: 8, height: 4 }],
+    }),
+    1,
+    0
+  );
+
+  run(dry, 5);
+  run(wet, 5);
+
+  assert.equal(wet.player.y < dry.player.y, true);
+  assert.equal(wet.player.swimming, true);
+});
+
+test("pickups grant their ability for good and do not come back", () => {
+  let zone = createZone(["......", "......", "======"], {
+    pickups: [{ ability: "doubleJump", column: 2, row: 1 }],
+  });
+  let world = createWorld(zone, 1, 1);
+
+  run(world, 10, (player) => player.moveRight());
+
+  assert.equal(world.player.abilities.has("doubleJump"), true);
+  assert.equal(world.pickups.length, 0);
+
+  world.setup(zone);
+
+  assert.equal(world.pickups.length, 0);
+});
+
+test("the player jumps again in the air only with the double jump", () => {
+  let zone = createZone(["......", "......", "......", "......", "======"]);
+  let heights = [];
+
+  [false, true].forEach((doubleJump) => {
+    let world = createWorld(zone, 2, 3);
+    let top = world.player.y;
+
+    if (doubleJump) world.player.abilities.add("doubleJump");
+
+    run(world, 1);
+    world.player.jump();
+    run(world, 5);
+    world.player.jump();
+    run(world, 30, (player) => (top = Math.min(top, player.y)));
+
+    heights.push(top);
+  });
+
+  assert.equal(heights[1] < heights[0], true);
+});
+
+test("the player jumps off walls only with the wall jump", () => {
+  let zone = createZone(["#.....", "#.....", "#.....", "#.....", "======"]);
+
+  [false, true].forEach((wallJump) => {
+    let world = createWorld(zone, 1, 3);
+
+    if (wallJump) world.player.abilities.add("wallJump");
+
+    run(world, 1);
+    world.player.jump();
+    run(world, 8, (player) => player.moveLeft());
+    world.player.jump();
+
+    assert.equal(world.player.velocityX > 0, wallJump);
+  });
+});
+
+test("the player dashes straight ahead once per jump, only with the dash", () => {
+  let zone = createZone([
+    "........",
+    "........",
+    "........",
+    "........",
+    "========",
+  ]);
+
+  [false, true].forEach((dash) => {
+    let world = createWorld(zone, 1, 3);
+
+    if (dash) world.player.abilities.add("dash");
+
+    run(world, 1);
+    world.player.jump();
+    run(world, 5, (player) => player.moveRight());
+
+    let y = world.player.y;
+
+    world.player.dash();
+    run(world, 1);
+
+    assert.equal(world.player.velocityX == Player.DASH_SPEED, dash);
+    assert.equal(world.player.y == y, dash);
+
+    /* Still in the air once the dash is over, but it can't dash again. */
+    run(world, Player.DASH_TIME);
+    world.player.dash();
+
+    assert.equal(world.player.dashTime, 0);
+  });
+});
+
+test("the player can still jump for a few updates after walking off a ledge", () => {
+  let zone = createZone([
+    "......",
+    "......",
+    "......",
+    "......",
+    "==....",
+    "......",
+    "......",
+    "......",
+    "......",
+    "======",
+  ]);
+
+  [Player.COYOTE_TIME - 2, Player.COYOTE_TIME].forEach((late) => {
+    let world = createWorld(zone, 1, 3);
+
+    run(world, 1);
+
+    while (world.player.isOnGround()) {
+      run(world, 1, (player) => player.moveRight());
+    }
+
+    run(world, late);
+    world.player.updateJump(true, true);
+
+    assert.equal(world.player.velocityY < 0, late < Player.COYOTE_TIME);
+  });
+});
+
+test("a jump pressed just before landing is done on landing", () => {
+  let world = createWorld(
+    createZone(["......", "......", "......", "......", "======"]),
+    2,
+    1
+  );
+  let pressed = false;
+  let jumped = false;
+
+  run(world, 60, (player) => {
+    if (!pressed && player.getBottom() > 40) {
+      pressed = true;
+      player.updateJump(true, true);
+    } else {
+      player.updateJump(false, pressed);
+    }
+
+    jumped = jumped || (pressed && player.velocityY < 0);
+  });
+
+  assert.equal(pressed, true);
+  assert.equal(jumped, true);
+});
+
+test("letting go of the jump button early cuts the jump short", () => {
+  let zone = createZone(["......", "......", "......", "......", "======"]);
+  let heights = [3, 30].map((hold) => {
+    let world = createWorld(zone, 2, 3);
+    let top = world.player.y;
+    let tick = 0;
+
+    run(world, 1);
+    run(world, 40, (player) => {
+      player.updateJump(tick == 0, tick < hold);
+      top = Math.min(top, player.y);
+      tick++;
+    });
+
+    return top;
+  });
+
+  assert.equal(heights[0] > heights[1], true);
+});
+
+test("the player's state follows what they are doing", () => {
+  let world = createWorld(
+    createZone(["........", "........", "........", "........", "========"]),
+    1,
+    3
+  );
+  let states = [];
+  let tick = 0;
+
+  run(world, 40, (player) => {
+    if (states[states.length - 1] != player.state.name) {
+      states.push(player.state.name);
+    }
+
+    if (tick >= 5 && tick < 10) player.moveRight();
+    player.updateJump(tick == 10, tick < 20);
+    tick++;
+  });
+
+  assert.deepEqual(states, [
+    "fall",
+    "land",
+    "idle",
+    "run",
+    "jump",
+    "fall",
+    "land",
+    "run",
+    "idle",
+  ]);
+
+  world.player.die();
+
+  assert.equal(world.player.state.name, "hurt");
+  assert.equal(world.player.dead, true);
+  assert.equal(world.player.state.set("idle"), false);
+});
+
+/**
+ * Plays an animation and lists the frames it shows.
+ * @param {Animator} animator - The animator to play.
+ * @param {number} updates - The number of updates.
+ * @returns {number[]} - The frame value after every update.
+ */
+function play(animator, updates) {
+  let frames = [];
+
+  for (let update = 0; update < updates; update++) {
+    animator.animate();
+    frames.push(animator.frameValue);
+  }
+
+  return frames;
+}
+
+test("animations loop, bounce back and forth or stop on their last frame", () => {
+  assert.deepEqual(play(new Animator([1, 2, 3], 1), 6), [1, 2, 3, 1, 2, 3]);
+  assert.deepEqual(
+    play(new Animator([1, 2, 3], 1, "pingpong"), 7),
+    [1, 2, 3, 2, 1, 2, 3]
+  );
+
+  let animator = new Animator([1, 2, 3], 1, "once");
+  let ends = 0;
+
+  animator.onEnd = () => ends++;
+
+  assert.deepEqual(play(animator, 5), [1, 2, 3, 3, 3]);
+  assert.equal(animator.mode, "pause");
+  assert.equal(ends, 1);
+});
+
+test("frames can have delays of their own and report when they are reached", () => {
+  let animator = new Animator([1, 2, 3], [1, 3, 2], "loop");
+  let reached = [];
+
+  animator.onFrame = (value, index) => reached.push([value, index]);
+
+  assert.deepEqual(play(animator, 8), [1, 2, 2, 2, 3, 3, 1, 2]);
+  assert.deepEqual(reached, [
+    [2, 1],
+    [3, 2],
+    [1, 0],
+    [2, 1],
+  ]);
+});
+
+test("collected carrots play their animation before they are removed", () => {
+  let world = createWorld(
+    createZone(["......", "......", "======"], { carrots: [[2, 1, 0]] }),
+    1,
+    1
+  );
+
+  run(world, 10, (player) => player.moveRight());
+
+  assert.equal(world.collection.count(), 1);
+  assert.equal(world.carrots.length, 1);
+  assert.equal(world.carrots[0].collected, true);
+
+  run(world, 20);
+
+  assert.equal(world.collection.count(), 1);
+  assert.equal(world.carrots.length, 0);
+});
+
+test("a game over gives back only the carrots collected since entering the zone", () => {
+  let zone = createZone(["......", "......", "......", "==__=="], {
+    carrots: [
+      [2, 2, 0],
+      [5, 2, 1],
+    ],
+  });
+  let world = createWorld(zone, 1, 2);
+
+  world.collection.add("test", 1);
+  world.setup(zone);
+  world.lives = 1;
+
+  run(world, 15, (player) => player.moveRight());
+
+  assert.deepEqual(world.collection.toJSON(), { test: [1, 0] });
+
+  run(world, 45);
+
+  assert.deepEqual(world.collection.toJSON(), { test: [1] });
+  assert.deepEqual(
+    world.carrots.map((carrot) => carrot.id),
+    [0]
+  );
+});
+
+test("starting a zone puts the player on its spawn tile and forgets the door used", () => {
+  let zone = createZone(["....", "....", "===="], { spawn: [2, 1] });
+  let world = createWorld(zone, 0, 1);
+
+  world.door = {};
+  run(world, 5);
+  world.start(zone);
+  run(world, 5);
+
+  assert.equal(world.door, undefined);
+  assert.equal(
+    world.player.getLeft(),
+    2.5 * world.tileSet.tileSize - world.player.width * 0.5
+  );
+  assert.equal(world.player.state.name, "idle");
+});
+
+test("doors lead off toward the edge of the zone they are closest to", () => {
+  let door = (x, y) =>
+    new Door({
+      x,
+      y,
+      width: 16,
+      height: 16,
+      destinationX: -1,
+      destinationY: -1,
+      destinationZone: "00",
+    });
+
+  assert.deepEqual(door(0, 48).getDirection(160, 112), [-1, 0]);
+  assert.deepEqual(door(144, 48).getDirection(160, 112), [1, 0]);
+  assert.deepEqual(door(64, 0).getDirection(160, 112), [0, -1]);
+  assert.deepEqual(door(64, 96).getDirection(160, 112), [0, 1]);
+  assert.equal(door(0, 0).transition, "slide");
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MenuNavigator } from "../src/menu.js";
+
+/**
+ * Creates an element holding links that record their clicks, in place of the DOM.
+ * @param {string[]} texts - The text of each link.
+ * @param {string[]} clicks - The texts of the clicked links, in order.
+ * @returns {HTMLElement} - The element.
+ */
+function createMenu(texts, clicks) {
+  let links = texts.map((text) => {
+    let classes = new Set();
+
+    return {
+      classList: {
+        contains: (name) => classes.has(name),
+        toggle: (name, force) =>
+          force ? classes.add(name) : classes.delete(name),
+      },
+      click: () => clicks.push(text),
+    };
+  });
+
+  return { querySelectorAll: () => links };
+}
+
+/**
+ * Creates a gamepad with some standard buttons pressed.
+ * @param {number[]} buttons - The indexes of the pressed buttons.
+ * @param {number} stickY - The vertical axis of the left stick.
+ * @returns {Gamepad} - The gamepad.
+ */
+function createGamepad(buttons, stickY = 0) {
+  return {
+    axes: [0, stickY],
+    buttons: Array.from({ length: 16 }, (_, button) => ({
+      pressed: buttons.includes(button),
+    })),
+    connected: true,
+  };
+}
+
+test("the selection wraps around and confirm follows the selected link", () => {
+  let clicks = [];
+  let navigator = new MenuNavigator(createMenu(["a", "b", "c"], clicks));
+
+  navigator.select(0);
+  navigator.handle("up");
+  navigator.handle("confirm");
+  navigator.handle("down");
+  navigator.handle("down");
+  navigator.handle("confirm");
+
+  assert.deepEqual(clicks, ["c", "b"]);
+  assert.deepEqual(
+    navigator.getLinks().map((link) => link.classList.contains("selected")),
+    [false, true, false]
+  );
+});
+
+test("gamepads move the selection once per press, ignoring buttons held on opening", () => {
+  let clicks = [];
+  let navigator = new MenuNavigator(createMenu(["a", "b", "c"], clicks));
+
+  navigator.select(0);
+  navigator.pollGamepads([createGamepad([0])]);
+  navigator.pollGamepads([createGamepad([0])]);
+  navigator.pollGamepads([null, createGamepad([13])]);
+  navigator.pollGamepads([null, createGamepad([13])]);
+  navigator.pollGamepads([createGamepad([])]);
+  navigator.pollGamepads([createGamepad([], 1)]);
+  navigator.pollGamepads([createGamepad([])]);
+  navigator.pollGamepads([createGamepad([0])]);
+
+  assert.equal(navigator.index, 2);
+  assert.deepEqual(clicks, ["c"]);
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Controller } from "../src/controller.js";
+import { Replay } from "../src/replay.js";
+
+test("frames and the start state survive serializing", () => {
+  let replay = new Replay(
+    "01",
+    42,
+    {
+      x: 20,
+      y: 30,
+      abilities: ["dash"],
+      collected: { "00": [2] },
+      upHeld: true,
+    },
+    [0, 0, 2, 2, 2, 6, 0, 5]
+  );
+  let parsed = Replay.parse(replay.serialize());
+
+  assert.equal(parsed.zoneId, "01");
+  assert.equal(parsed.seed, 42);
+  assert.equal(parsed.x, 20);
+  assert.equal(parsed.y, 30);
+  assert.deepEqual(parsed.abilities, ["dash"]);
+  assert.deepEqual(parsed.collected, { "00": [2] });
+  assert.equal(parsed.upHeld, true);
+  assert.deepEqual(parsed.frames, replay.frames);
+});
+
+test("unsupported versions and incomplete replays are rejected", () => {
+  assert.throws(() =>
+    Replay.parse(JSON.stringify({ version: 99, zoneId: "00", seed: 1 }))
+  );
+  assert.throws(() =>
+    Replay.parse(
+      JSON.stringify({ version: Replay.VERSION, zoneId: "00", seed: 1 })
+    )
+  );
+});
+
+test("buttons held on the last frame are let go when the controller is released", () => {
+  let controller = new Controller();
+  let replay = new Replay("00", 1, { x: 0, y: 0 }, [Replay.LEFT | Replay.UP]);
+
+  assert.equal(replay.apply(0, controller), true);
+  assert.equal(replay.apply(1, controller), false);
+
+  controller.releaseAll();
+
+  assert.equal(controller.left.active, false);
+  assert.equal(controller.up.active, false);
+});
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { World } from "../src/game.js";
+import { Random } from "../src/random.js";
+import { SaveError, SaveGame } from "../src/save.js";
+import { zones } from "../src/zone.js";
+
+/**
+ * Creates a storage keeping its items in memory, in place of localStorage.
+ * @returns {Storage} - The storage.
+ */
+function createStorage() {
+  let items = {};
+
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+  };
+}
+
+/**
+ * Creates a world set up in a bundled zone.
+ * @param {string} zoneId - The id of the zone.
+ * @returns {World} - The world.
+ */
+function createWorld(zoneId) {
+  let world = new World(undefined, undefined, new Random(1));
+
+  world.setup(zones.get(zoneId));
+
+  return world;
+}
+
+test("a saved game puts the player back where they were with their progress", () => {
+  let storage = createStorage();
+  let world = createWorld("01");
+
+  world.collection.add("00", 0);
+  world.collection.add("00", 3);
+  world.collection.add("01", 1);
+  world.player.abilities.add("dash");
+  world.player.respawn(40, 50);
+  world.time = 900;
+  SaveGame.capture(world).save(1, storage);
+
+  let loaded = createWorld("00");
+  let save = SaveGame.list(storage)[1];
+
+  save.apply(loaded, zones);
+
+  assert.equal(loaded.zoneId, "01");
+  assert.equal(loaded.player.x, 40);
+  assert.equal(loaded.player.y, 50);
+  assert.equal(loaded.collection.count(), 3);
+  assert.equal(loaded.time, 900);
+  assert.deepEqual(Array.from(loaded.player.abilities), ["dash"]);
+  assert.deepEqual(loaded.collection.toJSON(), world.collection.toJSON());
+  assert.equal(loaded.carrots.length, zones.get("01").carrots.length - 1);
+});
+
+test("version 1 saves are upgraded", () => {
+  let save = SaveGame.parse(
+    JSON.stringify({
+      version: 1,
+      zoneId: "01",
+      x: 40,
+      y: 60,
+      collected: { "00": [1, 4] },
+      abilities: [],
+      carrotCount: 2,
+      time: 5,
+    })
+  );
+
+  assert.equal(save.countCarrots(), 2);
+  assert.equal(JSON.parse(save.serialize()).version, SaveGame.VERSION);
+  assert.equal("carrotCount" in JSON.parse(save.serialize()), false);
+});
+
+test("a dead player is saved where they will respawn", () => {
+  let world = createWorld("00");
+  let x = world.player.x;
+
+  world.player.respawn(100, 20);
+  world.player.die();
+
+  let save = SaveGame.capture(world);
+
+  assert.equal(save.x, x);
+  assert.equal(save.y, world.entryY);
+});
+
+test("continue picks the slot saved most recently", () => {
+  let saves = [0, 1, 2].map((slot) =>
+    Object.assign(SaveGame.capture(createWorld("00")), { time: slot * 10 })
+  );
+
+  assert.equal(SaveGame.getLatestSlot(saves), 2);
+  assert.equal(SaveGame.getLatestSlot([undefined, saves[0], undefined]), 1);
+  assert.equal(SaveGame.getLatestSlot([undefined, undefined]), -1);
+});
+
+test("unreadable saves leave their slot empty", (t) => {
+  let storage = createStorage();
+
+  t.mock.method(console, "error", () => {});
+  storage.setItem(SaveGame.STORAGE_KEY + 0, "{");
+  storage.setItem(SaveGame.STORAGE_KEY + 1, JSON.stringify({ version: 99 }));
+  storage.setItem(
+    SaveGame.STORAGE_KEY + 2,
+    JSON.stringify({ version: SaveGame.VERSION, zoneId: "00" })
+  );
+
+  assert.deepEqual(SaveGame.list(storage), [undefined, undefined, undefined]);
+  assert.equal(console.error.mock.calls.length, 3);
+  assert.throws(
+    () => SaveGame.parse(JSON.stringify({ version: 99 })),
+    SaveError
+  );
+});
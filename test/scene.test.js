@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { SceneError, SceneManager } from "../src/scene.js";
+
+/**
+ * Creates a scene writing every hook call to a log.
+ * @param {string} name - The name written to the log.
+ * @param {string[]} log - The log.
+ * @returns {Scene} - The scene.
+ */
+function createScene(name, log) {
+  return {
+    enter: (data) => log.push("enter " + name + " " + data),
+    exit: () => log.push("exit " + name),
+    update: () => log.push("update " + name),
+    render: () => log.push("render " + name),
+  };
+}
+
+test("only the top scene is updated and every scene is rendered", () => {
+  let log = [];
+  let scenes = new SceneManager({
+    play: createScene("play", log),
+    pause: createScene("pause", log),
+  });
+
+  scenes.change("play", 1);
+  scenes.push("pause", 2);
+  scenes.update();
+  scenes.render(0, 1);
+  scenes.pop();
+  scenes.update();
+
+  assert.deepEqual(log, [
+    "enter play 1",
+    "enter pause 2",
+    "update pause",
+    "render play",
+    "render pause",
+    "exit pause",
+    "update play",
+  ]);
+});
+
+test("changing scenes exits every scene shown", () => {
+  let log = [];
+  let scenes = new SceneManager({
+    title: createScene("title", log),
+    play: createScene("play", log),
+    pause: createScene("pause", log),
+  });
+
+  scenes.change("play");
+  scenes.push("pause");
+  log.length = 0;
+  scenes.change("title");
+
+  assert.deepEqual(log, ["exit pause", "exit play", "enter title undefined"]);
+  assert.equal(scenes.getCurrent(), "title");
+  assert.throws(() => scenes.push("credits"), SceneError);
+});
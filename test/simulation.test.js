@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Replay } from "../src/replay.js";
+import { Simulation } from "../src/simulation.js";
+
+/**
+ * Runs right for two seconds, jumping once on the way, then walks back left.
+ * @returns {Input[]} - The input of each tick.
+ */
+function walkAndJump() {
+  let inputs = [];
+
+  for (let tick = 0; tick < 90; tick++) {
+    inputs.push({
+      right: tick < 60,
+      up: tick >= 20 && tick < 32,
+      left: tick >= 70,
+    });
+  }
+
+  return inputs;
+}
+
+test("the same inputs end with the player at the same place with the same carrots", () => {
+  let simulation = Simulation.create("00", 1).run(90, walkAndJump());
+  let world = simulation.world;
+
+  assert.equal(world.zoneId, "00");
+  assert.equal(world.player.x, 80);
+  assert.equal(world.player.y, 115.99);
+  assert.equal(world.player.state.name, "idle");
+  assert.equal(world.collection.count(), 1);
+});
+
+test("runs with the same zone, seed and inputs are identical", () => {
+  let first = Simulation.create("00", 7).run(90, walkAndJump());
+  let second = Simulation.create("00", 7).run(90, walkAndJump());
+
+  assert.equal(second.world.player.x, first.world.player.x);
+  assert.equal(second.world.player.y, first.world.player.y);
+  assert.equal(second.world.player.state.name, first.world.player.state.name);
+  assert.equal(second.world.collection.count(), first.world.collection.count());
+});
+
+/**
+ * Plays inputs in a simulation while recording them from its current state.
+ * @param {Simulation} simulation - The simulation to play in.
+ * @param {Input[]} inputs - The input for each tick.
+ * @returns {Replay} - The recorded replay, serialized and parsed back.
+ */
+function record(simulation, inputs) {
+  let replay = Replay.capture(simulation);
+
+  inputs.forEach((input) => {
+    simulation.press(input);
+    replay.record(simulation.controller);
+    simulation.step();
+  });
+
+  return Replay.parse(replay.serialize());
+}
+
+test("a recorded replay plays back to the same state", () => {
+  let simulation = Simulation.create("00", 3);
+  let replay = record(simulation, walkAndJump());
+  let playback = Simulation.fromReplay(replay).play(replay);
+
+  assert.equal(playback.tick, simulation.tick);
+  assert.equal(playback.world.player.x, simulation.world.player.x);
+  assert.equal(playback.world.player.y, simulation.world.player.y);
+  assert.equal(
+    playback.world.collection.count(),
+    simulation.world.collection.count()
+  );
+});
+
+test("a replay of a continued game starts from its progress", () => {
+  let simulation = Simulation.create("00", 5);
+  let world = simulation.world;
+
+  world.collection.add("00", 0);
+  world.player.abilities.add("doubleJump");
+  world.player.respawn(100, 50);
+  world.setup(world.zone);
+  simulation.upHeld = true;
+
+  let replay = record(simulation, walkAndJump());
+  let playback = Simulation.fromReplay(replay).play(replay);
+
+  assert.equal(replay.x, 100);
+  assert.deepEqual(replay.abilities, ["doubleJump"]);
+  assert.deepEqual(replay.collected, { "00": [0] });
+  assert.equal(replay.upHeld, true);
+  assert.equal(playback.world.player.x, world.player.x);
+  assert.equal(playback.world.player.y, world.player.y);
+  assert.deepEqual(
+    playback.world.collection.toJSON(),
+    world.collection.toJSON()
+  );
+});
+
+test("restarting a zone does not give its carrots again", () => {
+  let simulation = Simulation.create("00", 1).run(90, walkAndJump());
+  let carrots = simulation.world.carrots.length;
+
+  simulation.world.restart();
+  simulation.run(90, walkAndJump());
+
+  assert.equal(simulation.world.collection.count(), 1);
+  assert.equal(simulation.world.carrots.length, carrots);
+});
+
+test("the restart button puts the player back at the zone entry in replays too", () => {
+  let simulation = Simulation.create("00", 2);
+  let world = simulation.world;
+  let replay = record(simulation, [...walkAndJump(), { restart: true }]);
+  let playback = Simulation.fromReplay(replay).play(replay);
+
+  assert.equal(world.player.x, world.entryX);
+  assert.equal(world.player.y, world.entryY);
+  assert.equal(world.collection.count(), 0);
+  assert.equal(playback.world.player.x, world.player.x);
+  assert.equal(playback.world.player.y, world.player.y);
+});
+
+test("a new game forgets the progress of the last one", () => {
+  let simulation = Simulation.create("00", 1).run(90, walkAndJump());
+  let world = simulation.world;
+
+  world.player.abilities.add("dash");
+  world.lives = 1;
+  world.resetProgress();
+
+  assert.equal(world.collection.count(), 0);
+  assert.equal(world.player.abilities.size, 0);
+  assert.equal(world.lives, world.maxLives);
+  assert.equal(world.time, 0);
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { StateError, StateMachine } from "../src/state.js";
+
+/**
+ * Creates the states of a door that opens and closes, logging its hooks.
+ * @param {string[]} log - The list the hooks add to.
+ * @returns {Object<string, State>} - The states.
+ */
+function createStates(log) {
+  return {
+    closed: {
+      transitions: ["opening"],
+      exit: () => log.push("exit closed"),
+    },
+    opening: {
+      transitions: ["open", "closed"],
+      enter: () => log.push("enter opening"),
+      update: (door) => (door.state.time >= 2 ? "open" : undefined),
+    },
+    open: {
+      transitions: ["closed"],
+      enter: () => log.push("enter open"),
+    },
+  };
+}
+
+test("states change only along their transitions", () => {
+  let door = {};
+  let log = [];
+
+  door.state = new StateMachine(door, createStates(log), "closed");
+
+  assert.equal(door.state.set("open"), false);
+  assert.equal(door.state.name, "closed");
+  assert.equal(door.state.set("closed"), true);
+  assert.deepEqual(log, []);
+
+  assert.equal(door.state.set("opening"), true);
+  assert.equal(door.state.name, "opening");
+  assert.equal(door.state.previous, "closed");
+  assert.deepEqual(log, ["exit closed", "enter opening"]);
+});
+
+test("updates count the time in a state and follow the state's update hook", () => {
+  let door = {};
+  let log = [];
+
+  door.state = new StateMachine(door, createStates(log), "opening");
+  door.state.update();
+  door.state.update();
+
+  assert.equal(door.state.name, "opening");
+  assert.equal(door.state.time, 2);
+
+  door.state.update();
+
+  assert.equal(door.state.name, "open");
+  assert.equal(door.state.time, 0);
+  assert.deepEqual(log, ["enter open"]);
+});
+
+test("resetting skips the transition check and unknown states are errors", () => {
+  let door = {};
+
+  door.state = new StateMachine(door, createStates([]), "open");
+  door.state.reset("opening");
+
+  assert.equal(door.state.name, "opening");
+  assert.throws(() => door.state.reset("locked"), StateError);
+  assert.throws(() => new StateMachine(door, createStates([]), "locked"), {
+    name: "StateError",
+  });
+});
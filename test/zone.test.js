@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ZoneRegistry, zones } from "../src/zone.js";
+
+test("the bundled zones are valid", () => {
+  assert.deepEqual(zones.validate(), []);
+});
+
+test("zones may leave out what they do not have, but not use unknown types", () => {
+  let zone = {
+    id: "00",
+    columns: 2,
+    rows: 2,
+    collisionMap: [0, 0, 1, 1],
+    graphicalMap: [0, 0, 0, 0],
+    carrots: [],
+    grass: [],
+    doors: [],
+  };
+
+  assert.deepEqual(new ZoneRegistry([zone]).validate(), []);
+
+  zone.enemies = [{ type: "dragon", column: 0, row: 0 }];
+
+  assert.equal(new ZoneRegistry([zone]).validate().length, 1);
+
+  zone.volumes = [{ type: "lava", column: 0, row: 0, width: 1, height: 1 }];
+
+  assert.equal(new ZoneRegistry([zone]).validate().length, 2);
+
+  zone.pickups = [{ ability: "fly", column: 0, row: 0 }];
+
+  assert.equal(new ZoneRegistry([zone]).validate().length, 3);
+
+  zone.doors = [
+    {
+      x: 0,
+      y: 0,
+      width: 16,
+      height: 16,
+      destinationX: -1,
+      destinationY: -1,
+      destinationZone: "00",
+      transition: "spin",
+    },
+  ];
+
+  assert.equal(new ZoneRegistry([zone]).validate().length, 4);
+});
+
+test("carrots need ids unique within their zone", () => {
+  let zone = {
+    id: "00",
+    columns: 2,
+    rows: 2,
+    collisionMap: [0, 0, 1, 1],
+    graphicalMap: [0, 0, 0, 0],
+    carrots: [
+      [0, 0, 4],
+      [1, 0, 4],
+      [1, 1],
+    ],
+    grass: [],
+    doors: [],
+  };
+  let registry = new ZoneRegistry([zone]);
+
+  assert.equal(registry.validate().length, 2);
+  assert.equal(registry.countCarrots("00"), 3);
+  assert.equal(registry.countCarrots(), 3);
+});